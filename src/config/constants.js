@@ -2,12 +2,30 @@
 
 const https = require('https');
 const http = require('http');
+const path = require('path');
+
+// JSON-valued env var, falling back (with a warning) when unset or malformed
+function parseJsonEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.warn(`[Config] Ignoring malformed ${name}:`, e.message);
+    return fallback;
+  }
+}
 
 // Environment configuration
 module.exports = {
   PORT: process.env.PORT || 8080,
   DATABASE_URL: process.env.DATABASE_URL || process.env.POSTGRES_URL || '',
   ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+  // Chat session signing: comma-separated HMAC secrets, first one signs, all verify (rotation)
+  SESSION_SECRETS: String(process.env.SESSION_SECRET || '').split(',').map(s => s.trim()).filter(Boolean),
+  SESSION_TTL_MS: Number(process.env.SESSION_TTL_MS || 30 * 24 * 60 * 60 * 1000),
+  // Reverse proxies in front of the server (Railway: 1); 0 trusts no x-forwarded-for at all
+  TRUSTED_PROXY_HOPS: process.env.TRUSTED_PROXY_HOPS !== undefined ? Math.max(0, Number(process.env.TRUSTED_PROXY_HOPS) || 0) : 1,
   ENABLE_TRADE_EVENTS_READ: String(process.env.ENABLE_TRADE_EVENTS_READ || 'false').toLowerCase() === 'true',
   // Upstream timeout - reduced from 15s to 8s for faster failures
   UPSTREAM_TIMEOUT_MS: Number(process.env.UPSTREAM_TIMEOUT_MS || 8000),
@@ -92,6 +110,21 @@ module.exports = {
   BWE_PING_INTERVAL: 8000,
   BWE_RECONNECT_DELAY: 5000,
   
+  // Authors may edit or delete their own messages within this window
+  MESSAGE_EDIT_WINDOW_MS: Number(process.env.MESSAGE_EDIT_WINDOW_MS || 15 * 60 * 1000),
+
+  // Trade-share outcome tracking against hub tickers
+  SHARE_TRACK_INTERVAL_MS: Number(process.env.SHARE_TRACK_INTERVAL_MS || 5000),
+  SHARE_TRACK_MAX_AGE_MS: Number(process.env.SHARE_TRACK_MAX_AGE_MS || 7 * 24 * 60 * 60 * 1000),
+
+  // Retention per table, e.g. {"chat_messages":{"days":180,"action":"archive"},"news_items":{"days":30,"action":"delete"}}.
+  // Tables without a policy are kept forever; archives are gzip NDJSON files.
+  RETENTION_POLICIES: parseJsonEnv('RETENTION_POLICIES', {}),
+  RETENTION_INTERVAL_MS: Number(process.env.RETENTION_INTERVAL_MS || 6 * 60 * 60 * 1000),
+  RETENTION_ARCHIVE_DIR: process.env.RETENTION_ARCHIVE_DIR || path.join(__dirname, '..', '..', 'data', 'archive'),
+  // JSON-store fallback keeps at most this many chat messages (overflow is reported by retention runs)
+  MEMORY_MESSAGE_LIMIT: Number(process.env.MEMORY_MESSAGE_LIMIT || 1000),
+
   // Rate limiting
   RATE_LIMIT_WINDOW: 60000, // 1 minute
   RATE_LIMIT_MAX_MESSAGES: 30 // Max messages per minute
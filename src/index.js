@@ -14,12 +14,18 @@ const { sanitizeInput, sanitizeName, checkRateLimit, cleanupRateLimit, pickHeade
 const storage = require('./services/storage');
 const news = require('./services/news');
 const { getHub } = require('./services/hub/PublicDataHub');
+const shareOutcomes = require('./services/shareOutcomes');
+const moderation = require('./services/moderation');
+const follows = require('./services/follows');
+const retention = require('./services/retention');
 
 // Forwarder logic (kept in main for performance)
 const forwarderRoutes = require('./routes/forwarder');
 const apiRoutes = require('./routes/api');
 const wsRoutes = require('./routes/websocket');
 
+const SHUTDOWN_FLUSH_TIMEOUT_MS = 5000; // max wait for the final share-outcome flush
+
 const app = Fastify({ 
   logger: true,
   connectionTimeout: 10000,  // 10s to establish connection
@@ -77,9 +83,12 @@ async function start() {
     // Load data
     storage.loadMessages();
     storage.loadNews();
+    storage.loadDataFiles();
     
     // Initialize database
     await storage.initPostgres().catch(() => {});
+    await moderation.init();
+    await follows.init();
     
     // Setup news service
     news.setApp(app);
@@ -108,6 +117,12 @@ async function start() {
     }).catch(err => {
       console.error('❌ Public Data Hub failed to start:', err.message);
     });
+
+    // Track trade-share outcomes against hub prices (idle until tickers arrive)
+    shareOutcomes.start();
+
+    // Prune/archive old rows per RETENTION_POLICIES
+    retention.start();
     
     // Memory monitoring - log heap usage every 5 minutes
     setInterval(() => {
@@ -119,17 +134,20 @@ async function start() {
     }, 5 * 60 * 1000);
     
     // Handle graceful shutdown
-    process.on('SIGTERM', () => {
-      console.log('SIGTERM received, shutting down...');
+    // Let open-share excursions flush before exiting, but never hang shutdown on storage
+    const shutdown = async (signal) => {
+      console.log(`${signal} received, shutting down...`);
       hub.stop();
+      retention.stop();
+      await Promise.race([
+        shareOutcomes.stop().catch(e => console.error('[ShareOutcomes] Final flush failed:', e.message)),
+        new Promise(resolve => setTimeout(resolve, SHUTDOWN_FLUSH_TIMEOUT_MS))
+      ]);
       process.exit(0);
-    });
+    };
 
-    process.on('SIGINT', () => {
-      console.log('SIGINT received, shutting down...');
-      hub.stop();
-      process.exit(0);
-    });
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
     
   } catch (err) {
     app.log.error(err);
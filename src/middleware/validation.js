@@ -1,6 +1,6 @@
 // Input validation and utility functions
 
-const { RATE_LIMIT_WINDOW, RATE_LIMIT_MAX_MESSAGES } = require('../config/constants');
+const { RATE_LIMIT_WINDOW, RATE_LIMIT_MAX_MESSAGES, ADMIN_TOKEN, TRUSTED_PROXY_HOPS } = require('../config/constants');
 
 const rateLimits = new Map();
 
@@ -26,13 +26,27 @@ function sanitizeName(name) {
     .slice(0, 20) || 'Anon';
 }
 
-// Check rate limits
-function checkRateLimit(connectionId) {
+// Case-insensitive key for user names; every per-user lookup goes through it
+function nameKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// Sanitize room names (lowercase slug, e.g. "btc", "sol-degens")
+function sanitizeRoom(room) {
+  if (!room || typeof room !== 'string') return 'global';
+  return room
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, '')
+    .slice(0, 32) || 'global';
+}
+
+// Check rate limits (keyed by client IP for chat so reconnecting doesn't reset it)
+function checkRateLimit(key) {
   const now = Date.now();
-  const limit = rateLimits.get(connectionId);
+  const limit = rateLimits.get(key);
   
   if (!limit || now > limit.resetTime) {
-    rateLimits.set(connectionId, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
+    rateLimits.set(key, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
     return true;
   }
   
@@ -45,8 +59,31 @@ function checkRateLimit(connectionId) {
 }
 
 // Clean up expired rate limit entries
-function cleanupRateLimit(connectionId) {
-  rateLimits.delete(connectionId);
+function cleanupRateLimit(key) {
+  rateLimits.delete(key);
+}
+
+// Client IP behind Railway's proxy. Each trusted proxy appends the address it saw
+// to x-forwarded-for, so the client is TRUSTED_PROXY_HOPS entries from the right;
+// entries further left come from the client itself and are never used.
+function getClientIp(request) {
+  const forwarded = String(request.headers?.['x-forwarded-for'] || '')
+    .split(',').map(s => s.trim()).filter(Boolean);
+  if (TRUSTED_PROXY_HOPS > 0 && forwarded.length) {
+    return forwarded[Math.max(0, forwarded.length - TRUSTED_PROXY_HOPS)];
+  }
+  return request.socket?.remoteAddress || request.ip || 'unknown';
+}
+
+// Check a request's admin token (x-admin-token, x-adminkey or Bearer)
+function isAdminRequest(request) {
+  const hdr = request.headers || {};
+  const bearer = typeof hdr['authorization'] === 'string' ? hdr['authorization'].replace(/^Bearer\s+/i, '') : '';
+  return isAdminToken(hdr['x-admin-token'] || hdr['x-adminkey'] || bearer || '');
+}
+
+function isAdminToken(token) {
+  return !!ADMIN_TOKEN && String(token || '') === String(ADMIN_TOKEN);
 }
 
 // Pick first non-empty value from candidates
@@ -90,8 +127,13 @@ setInterval(() => {
 module.exports = {
   sanitizeInput,
   sanitizeName,
+  nameKey,
+  sanitizeRoom,
   checkRateLimit,
   cleanupRateLimit,
+  getClientIp,
+  isAdminRequest,
+  isAdminToken,
   pickFirst,
   pickHeaders,
   buildUpstreamUrl
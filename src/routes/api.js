@@ -1,10 +1,76 @@
 // REST API endpoints
 
+const { Readable } = require('stream');
 const { nanoid } = require('nanoid');
-const { ADMIN_TOKEN, ENABLE_TRADE_EVENTS_READ } = require('../config/constants');
+const { ENABLE_TRADE_EVENTS_READ } = require('../config/constants');
 const storage = require('../services/storage');
+const { listRooms, getRoster } = require('../services/rooms');
+const { sanitizeInput, sanitizeName, nameKey, sanitizeRoom, isAdminRequest, getClientIp } = require('../middleware/validation');
+const auth = require('../services/auth');
+const leaderboard = require('../services/leaderboard');
+const moderation = require('../services/moderation');
+const messageExport = require('../services/messageExport');
+const retention = require('../services/retention');
+const layouts = require('../services/layouts');
+const follows = require('../services/follows');
+const { baseCoin } = require('../services/symbols');
 const { getHub } = require('../services/hub/PublicDataHub');
 
+// Trade-share outcome (status plus max favourable/adverse excursion in %)
+function mapTradeOutcome(row) {
+  const num = (v) => (v === null || v === undefined ? null : Number(v));
+  return {
+    status: row.trade_status || 'open',
+    mfe: num(row.trade_mfe) || 0,
+    mae: num(row.trade_mae) || 0,
+    exitPrice: num(row.trade_exit_price),
+    closedAt: num(row.trade_closed_at),
+    r: num(row.trade_r)
+  };
+}
+
+// Poll question, options with live tallies, and close state
+function mapPoll(row) {
+  const parse = (v) => (typeof v === 'string' ? JSON.parse(v) : v) || [];
+  const tallies = parse(row.poll_tallies);
+  const options = parse(row.poll_options).map((text, i) => ({ text, votes: Number(tallies[i]) || 0 }));
+  const closesAt = row.poll_closes_at ? Number(row.poll_closes_at) : null;
+  return {
+    question: row.poll_question,
+    options,
+    totalVotes: options.reduce((sum, o) => sum + o.votes, 0),
+    closesAt,
+    closed: !!closesAt && closesAt <= Date.now()
+  };
+}
+
+function mapDirectMessageRow(row) {
+  return {
+    id: row.id,
+    from: { name: row.sender, color: row.sender_color || '#aaa' },
+    to: row.recipient,
+    text: row.text,
+    ts: Number(row.ts),
+    clientId: row.client_id || undefined
+  };
+}
+
+// Saved layout for the API; windows are omitted from list summaries
+function mapLayoutRow(row) {
+  return {
+    id: row.id,
+    owner: row.owner,
+    name: row.name,
+    public: !!row.is_public,
+    version: Number(row.version),
+    windowCount: row.windows ? row.windows.length : Number(row.window_count),
+    windows: row.windows || undefined,
+    forkedFrom: row.forked_from || undefined,
+    createdAt: Number(row.created_at),
+    updatedAt: Number(row.updated_at)
+  };
+}
+
 // Helper to transform message row to API response format
 function mapMessageRow(row, room) {
   const parseWindows = (w) => {
@@ -12,12 +78,21 @@ function mapMessageRow(row, room) {
     return typeof w === 'string' ? JSON.parse(w) : w;
   };
   
-  return {
+  const base = {
     type: 'message',
     id: row.id,
     room: room || row.room,
     user: { name: row.user_name, color: row.user_color },
-    ts: Number(row.ts) || row.ts,
+    ts: Number(row.ts) || row.ts
+  };
+
+  // Deleted messages keep their slot in history but carry no content
+  if (row.deleted_at) {
+    return { ...base, deleted: true, deletedAt: Number(row.deleted_at) };
+  }
+
+  return {
+    ...base,
     text: row.text,
     tradeShare: !!row.is_trade,
     share: row.is_trade ? {
@@ -26,7 +101,10 @@ function mapMessageRow(row, room) {
       lev: row.trade_lev,
       entry: row.trade_entry,
       takeProfit: row.trade_take_profit || undefined,
-      stopLoss: row.trade_stop_loss || undefined
+      stopLoss: row.trade_stop_loss || undefined,
+      exchange: row.trade_exchange || undefined,
+      markPrice: row.trade_mark_price ? Number(row.trade_mark_price) : undefined,
+      outcome: mapTradeOutcome(row)
     } : undefined,
     orderShare: !!row.is_order,
     order: row.is_order ? {
@@ -37,19 +115,81 @@ function mapMessageRow(row, room) {
       qty: row.order_qty,
       orderType: row.order_type,
       takeProfit: row.order_take_profit || undefined,
-      stopLoss: row.order_stop_loss || undefined
+      stopLoss: row.order_stop_loss || undefined,
+      exchange: row.order_exchange || undefined,
+      markPrice: row.order_mark_price ? Number(row.order_mark_price) : undefined,
+      copy: row.order_copy ? (typeof row.order_copy === 'string' ? JSON.parse(row.order_copy) : row.order_copy) : undefined
     } : undefined,
     layoutShare: !!row.is_layout,
     layout: row.is_layout ? {
       layoutName: row.layout_name,
       windowCount: row.layout_window_count,
-      windows: parseWindows(row.layout_windows)
+      windows: parseWindows(row.layout_windows),
+      layoutId: row.layout_id || undefined,
+      version: row.layout_version ? Number(row.layout_version) : undefined
     } : undefined,
+    pollShare: !!row.is_poll,
+    poll: row.is_poll ? mapPoll(row) : undefined,
     replyTo: row.reply_to,
-    clientId: row.client_id
+    threadId: row.thread_id || undefined,
+    clientId: row.client_id,
+    editedAt: row.edited_at ? Number(row.edited_at) : undefined,
+    reactions: row.reactions || []
   };
 }
 
+// A room's pins with pinned messages resolved (message is null once it is gone)
+async function loadRoomPins(room) {
+  const pins = await storage.getPins(room);
+  const ids = pins.map(p => p.message_id).filter(Boolean);
+  const rows = await storage.attachReactions((await Promise.all(ids.map(id => storage.getMessage(id)))).filter(Boolean));
+  const byId = new Map(rows.map(row => [row.id, row]));
+  return pins.map(p => ({
+    id: p.id,
+    kind: p.message_id ? 'message' : 'announcement',
+    messageId: p.message_id || undefined,
+    text: p.text || undefined,
+    pinnedBy: p.created_by,
+    pinnedAt: Number(p.ts),
+    message: p.message_id ? (byId.has(p.message_id) ? mapMessageRow(byId.get(p.message_id), room) : null) : undefined
+  }));
+}
+
+// Share counts per base coin (BTCUSDT and BTC-USDT count together), top first
+function favouriteSymbols(symbols, limit = 5) {
+  const byCoin = new Map();
+  for (const { sym, count } of symbols) {
+    const coin = baseCoin(sym);
+    if (coin) byCoin.set(coin, (byCoin.get(coin) || 0) + Number(count));
+  }
+  return Array.from(byCoin, ([symbol, count]) => ({ symbol, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+// Parse clear-endpoint filters; only provided filters end up in the scope
+function parseClearScope(input) {
+  const scope = {};
+  if (input.room) scope.room = sanitizeRoom(String(input.room));
+  if (input.user) scope.user = sanitizeName(String(input.user));
+  if (Number(input.since)) scope.since = Number(input.since);
+  if (Number(input.until)) scope.until = Number(input.until);
+  const ids = Array.isArray(input.id) ? input.id : String(input.id || '').split(',');
+  const cleanIds = ids.map(id => String(id).trim().slice(0, 40)).filter(Boolean);
+  if (cleanIds.length) scope.ids = cleanIds.slice(0, 500);
+  return scope;
+}
+
+// History cursors: ids for after/before, plain digits in before are a legacy timestamp
+function parseHistoryCursor(query) {
+  const after = query.after ? String(query.after).slice(0, 40) : null;
+  const before = query.before ? String(query.before).slice(0, 40) : null;
+  if (after) return { afterId: after };
+  if (before && /^\d{1,15}$/.test(before)) return { beforeTs: Number(before) };
+  if (before) return { beforeId: before };
+  return {};
+}
+
 // News cache to prevent repeated DB queries
 const NEWS_CACHE_TTL = 30000; // 30 seconds
 let newsCache = { data: null, ts: 0 };
@@ -67,31 +207,149 @@ setInterval(() => {
 }, 60000);
 
 module.exports = function(app) {
-  // Clear messages
+  // Clear messages (protected, scoped by room/user/time/id; dryRun previews)
   app.delete('/api/messages/clear', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+
+    const input = { ...(request.query || {}), ...(typeof request.body === 'object' ? request.body : {}) };
+    const scope = parseClearScope(input);
+    const all = String(input.all).toLowerCase() === 'true';
+    const dryRun = String(input.dryRun).toLowerCase() === 'true';
+    if (!Object.keys(scope).length && !all) {
+      return reply.code(400).send({ error: 'scope required (room, user, since, until, id) or all=true' });
+    }
+
     try {
-      if (storage.pgClient) {
-        await storage.pgClient.query('DELETE FROM chat_messages');
-        console.log('[Postgres] Cleared all messages');
-      } else {
-        storage.memoryMessages = [];
-        storage.saveMessages();
-        console.log('[Memory] Cleared all messages');
+      const result = await storage.clearMessages(scope, { dryRun });
+      const actor = String(request.headers['x-admin-actor'] || input.actor || 'admin').slice(0, 60);
+
+      await storage.recordAudit({
+        action: 'messages.clear', actor, ip: getClientIp(request),
+        scope: all ? { ...scope, all: true } : scope,
+        affected: result.count, dryRun
+      }).catch(e => console.error('[Clear] Audit failed:', e.message));
+
+      console.log(`[Clear] ${dryRun ? 'Dry run' : 'Cleared'} ${result.count} messages by ${actor}:`, JSON.stringify(scope));
+      if (dryRun) {
+        return { ok: true, dryRun: true, count: result.count, messages: result.rows.map(row => mapMessageRow(row)) };
       }
-      return { ok: true, message: 'All messages cleared' };
+      return { ok: true, count: result.count, message: `${result.count} messages cleared` };
     } catch (error) {
       console.error('[Clear] Error:', error);
       return reply.code(500).send({ error: 'Failed to clear messages' });
     }
   });
 
+  // Retention policies and what recent runs removed (protected)
+  app.get('/api/admin/retention', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    return retention.getStatus();
+  });
+
+  // Run retention now instead of waiting for the schedule (protected)
+  app.post('/api/admin/retention/run', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    try {
+      return { ok: true, report: await retention.runOnce() };
+    } catch (e) {
+      app.log.error(e, 'Retention run failed');
+      return reply.code(500).send({ error: 'Retention run failed' });
+    }
+  });
+
+  // Admin audit log (protected)
+  app.get('/api/admin/audit', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    const limit = Math.min(Number(request.query.limit) || 100, 500);
+    try {
+      return { entries: await storage.getAuditLog(limit) };
+    } catch (e) {
+      app.log.error(e, 'Failed to fetch audit log');
+      return reply.code(500).send({ error: 'Failed to fetch audit log' });
+    }
+  });
+
+  // ============= MODERATION (protected) =============
+
+  app.get('/api/moderation', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    return { sanctions: moderation.listSanctions(), rooms: moderation.listRoomSettings() };
+  });
+
+  // Mute or ban by user and/or IP: { kind, user, ip, room, durationMs, reason }
+  app.post('/api/moderation/sanctions', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    const body = request.body || {};
+    try {
+      const sanction = await moderation.addSanction({
+        kind: String(body.kind || ''),
+        user: body.user ? sanitizeName(String(body.user)) : null,
+        ip: body.ip ? String(body.ip) : null,
+        room: body.room ? sanitizeRoom(String(body.room)) : null,
+        durationMs: Number(body.durationMs) || 0,
+        reason: body.reason,
+        createdBy: String(request.headers['x-admin-actor'] || 'admin').slice(0, 60)
+      });
+      return { ok: true, sanction };
+    } catch (e) {
+      return reply.code(400).send({ error: e.message });
+    }
+  });
+
+  app.delete('/api/moderation/sanctions/:id', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    const actor = String(request.headers['x-admin-actor'] || 'admin').slice(0, 60);
+    const removed = await moderation.removeSanction(String(request.params.id), actor);
+    if (!removed) {
+      return reply.code(404).send({ error: 'Sanction not found' });
+    }
+    return { ok: true };
+  });
+
+  // Per-room slow mode: { seconds } (0 disables)
+  app.put('/api/rooms/:room/slow-mode', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    const room = sanitizeRoom(request.params.room);
+    const actor = String(request.headers['x-admin-actor'] || 'admin').slice(0, 60);
+    const slowModeMs = await moderation.setSlowMode(room, (request.body || {}).seconds, actor);
+    return { ok: true, room, slowModeSeconds: slowModeMs / 1000 };
+  });
+
+  // Room owners may pin messages and post announcements: { owners: [names] }
+  app.put('/api/rooms/:room/owners', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    const owners = (request.body || {}).owners;
+    if (!Array.isArray(owners) || owners.length > 50) {
+      return reply.code(400).send({ error: 'owners must be an array of up to 50 names' });
+    }
+    const room = sanitizeRoom(request.params.room);
+    const actor = String(request.headers['x-admin-actor'] || 'admin').slice(0, 60);
+    const saved = await moderation.setRoomOwners(room, owners.map(n => sanitizeName(String(n))).filter(n => n !== 'Anon'), actor);
+    return { ok: true, room, owners: saved };
+  });
+
   // Get recent news (with caching + rate limiting)
   app.get('/api/news', async (request, reply) => {
-    // Get client IP (Railway uses x-forwarded-for)
-    const clientIp = request.headers['x-forwarded-for']?.split(',')[0]?.trim() 
-                  || request.headers['x-real-ip'] 
-                  || request.ip 
-                  || 'unknown';
+    // Get client IP (right-most x-forwarded-for hop Railway appended)
+    const clientIp = getClientIp(request);
     const now = Date.now();
     
     // Rate limit check - 1 request per 5 seconds per IP
@@ -158,53 +416,393 @@ module.exports = function(app) {
     }
   });
 
-  // Get recent chat messages
+  // Issue a signed chat session (first request for a name reserves it)
+  app.post('/api/auth/session', async (request, reply) => {
+    if (!auth.isEnabled()) {
+      return reply.code(503).send({ error: 'auth_disabled' });
+    }
+    const body = request.body || {};
+    const name = sanitizeName(body.name);
+    if (!body.name || name === 'Anon' || /^guest-/i.test(name)) {
+      return reply.code(400).send({ error: 'invalid_name' });
+    }
+
+    try {
+      const session = await auth.createSession(name, body.accountKey ? String(body.accountKey) : null);
+      if (session.error) {
+        return reply.code(403).send({ error: session.error });
+      }
+      return session;
+    } catch (e) {
+      app.log.error(e, 'Failed to create session');
+      return reply.code(500).send({ error: 'Failed to create session' });
+    }
+  });
+
+  // List active chat rooms with presence counts
+  app.get('/api/rooms', async () => {
+    const rooms = listRooms();
+    return { count: rooms.length, rooms };
+  });
+
+  // Named users currently in a room (anonymous sockets only count toward presence)
+  app.get('/api/rooms/:room/roster', async (request) => {
+    const room = sanitizeRoom(request.params.room);
+    const users = getRoster(room);
+    const count = listRooms().find(r => r.room === room)?.count || 0;
+    return { room, count, users };
+  });
+
+  // Pinned messages and announcements, oldest first
+  app.get('/api/rooms/:room/pins', async (request, reply) => {
+    const room = sanitizeRoom(request.params.room);
+    try {
+      return { room, pins: await loadRoomPins(room) };
+    } catch (e) {
+      console.error('[Pins] Error:', e.message);
+      return reply.code(500).send({ error: 'Failed to load pins' });
+    }
+  });
+
+  // Public profile: stored bio/color plus stats aggregated from chat history
+  app.get('/api/users/:name', async (request, reply) => {
+    const name = sanitizeName(request.params.name);
+    try {
+      const [profile, account, stats] = await Promise.all([
+        storage.getUserProfile(name),
+        storage.getAccountByName(name),
+        storage.getUserStats(name)
+      ]);
+      if (!profile && !account && !stats.messages) {
+        return reply.code(404).send({ error: 'User not found' });
+      }
+      const closed = stats.wins + stats.losses;
+      const recent = await storage.attachReactions(stats.recent);
+      return {
+        name: profile?.name || account?.name || name,
+        color: profile?.color || null,
+        bio: profile?.bio || '',
+        registered: !!account,
+        joinedAt: account?.createdAt || profile?.created_at || stats.first_ts || null,
+        stats: {
+          messages: stats.messages,
+          trades: stats.trades,
+          orders: stats.orders,
+          wins: stats.wins,
+          losses: stats.losses,
+          winRate: closed ? Math.round(stats.wins / closed * 1000) / 10 : null
+        },
+        favouriteSymbols: favouriteSymbols(stats.symbols),
+        recentShares: recent.map(row => mapMessageRow(row)),
+        followers: follows.countFollowers(name),
+        following: follows.countFollowing(name)
+      };
+    } catch (e) {
+      app.log.error(e, 'Failed to load profile');
+      return reply.code(500).send({ error: 'Failed to load profile' });
+    }
+  });
+
+  // Edit your own profile: { bio, color }
+  app.put('/api/users/:name', async (request, reply) => {
+    if (!auth.isEnabled()) {
+      return reply.code(503).send({ error: 'auth_disabled' });
+    }
+    const session = auth.getRequestSession(request);
+    if (!session) {
+      return reply.code(401).send({ error: 'session token required' });
+    }
+    if (nameKey(session.name) !== nameKey(request.params.name)) {
+      return reply.code(403).send({ error: 'You can only edit your own profile' });
+    }
+    const body = request.body || {};
+    if (body.color !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(String(body.color))) {
+      return reply.code(400).send({ error: 'color must be #RRGGBB' });
+    }
+    const profile = await storage.saveUserProfile(session.name, {
+      bio: body.bio !== undefined ? sanitizeInput(String(body.bio)) : undefined,
+      color: body.color
+    });
+    return { ok: true, name: profile.name, bio: profile.bio || '', color: profile.color };
+  });
+
+  // Who follows a trader, and whom a user follows (newest first), with both counts
+  app.get('/api/users/:name/followers', async (request) => {
+    const name = sanitizeName(request.params.name);
+    const followers = follows.getFollowers(name);
+    return { user: name, followers: followers.length, following: follows.countFollowing(name), users: followers };
+  });
+
+  app.get('/api/users/:name/following', async (request) => {
+    const name = sanitizeName(request.params.name);
+    const following = follows.getFollowing(name);
+    return { user: name, followers: follows.countFollowers(name), following: following.length, users: following };
+  });
+
+  // Direct message history between the session user and a peer
+  app.get('/api/dm/:peer', async (request, reply) => {
+    if (!auth.isEnabled()) {
+      return reply.code(503).send({ error: 'auth_disabled' });
+    }
+    const session = auth.getRequestSession(request);
+    if (!session) {
+      return reply.code(401).send({ error: 'session token required' });
+    }
+    const peer = sanitizeName(request.params.peer);
+    const limit = Math.min(Number(request.query.limit) || 50, 200);
+    const beforeTs = Number(request.query.before) || null;
+    try {
+      const rows = await storage.getDirectMessages(session.name, peer, { limit, beforeTs });
+      return { peer, messages: rows.map(mapDirectMessageRow) };
+    } catch (e) {
+      app.log.error(e, 'Failed to fetch direct messages');
+      return reply.code(500).send({ error: 'Failed to fetch direct messages' });
+    }
+  });
+
+  // Layout library: public layouts plus the session user's own
+  app.get('/api/layouts', async (request, reply) => {
+    const viewer = auth.getRequestSession(request)?.name || null;
+    const { owner, q } = request.query;
+    const limit = Math.min(Number(request.query.limit) || 50, 200);
+    try {
+      const rows = await storage.listLayouts({
+        viewer,
+        owner: owner ? sanitizeName(String(owner)) : null,
+        q: q ? String(q).slice(0, 30) : null,
+        limit
+      });
+      return { count: rows.length, layouts: rows.map(mapLayoutRow) };
+    } catch (e) {
+      app.log.error(e, 'Failed to list layouts');
+      return reply.code(500).send({ error: 'Failed to list layouts' });
+    }
+  });
+
+  // One layout with its windows; ?version=n for an older version
+  app.get('/api/layouts/:id', async (request, reply) => {
+    const viewer = auth.getRequestSession(request)?.name || null;
+    const version = Number(request.query.version) || null;
+    const row = await layouts.getVisible(String(request.params.id).slice(0, 40), viewer, version);
+    if (!row) {
+      return reply.code(404).send({ error: 'Layout not found' });
+    }
+    return { layout: mapLayoutRow(row) };
+  });
+
+  app.get('/api/layouts/:id/versions', async (request, reply) => {
+    const viewer = auth.getRequestSession(request)?.name || null;
+    const row = await layouts.getVisible(String(request.params.id).slice(0, 40), viewer);
+    if (!row) {
+      return reply.code(404).send({ error: 'Layout not found' });
+    }
+    const versions = await storage.getLayoutVersions(row.id);
+    return {
+      id: row.id,
+      versions: versions.map(v => ({ version: Number(v.version), name: v.name, windowCount: Number(v.window_count), createdAt: Number(v.created_at) }))
+    };
+  });
+
+  // Save a layout (or fork one with forkOf): { name, windows, public, forkOf }
+  app.post('/api/layouts', async (request, reply) => {
+    if (!auth.isEnabled()) {
+      return reply.code(503).send({ error: 'auth_disabled' });
+    }
+    const session = auth.getRequestSession(request);
+    if (!session) {
+      return reply.code(401).send({ error: 'session token required' });
+    }
+    const result = await layouts.create(session.name, request.body || {});
+    if (result.error) {
+      return reply.code(result.status).send({ error: result.error });
+    }
+    return reply.code(201).send({ layout: mapLayoutRow(result.layout) });
+  });
+
+  // Owner edits: { name, windows, public }; new windows are saved as the next version
+  app.put('/api/layouts/:id', async (request, reply) => {
+    if (!auth.isEnabled()) {
+      return reply.code(503).send({ error: 'auth_disabled' });
+    }
+    const session = auth.getRequestSession(request);
+    if (!session) {
+      return reply.code(401).send({ error: 'session token required' });
+    }
+    const result = await layouts.update(String(request.params.id).slice(0, 40), session.name, request.body || {});
+    if (result.error) {
+      return reply.code(result.status).send({ error: result.error });
+    }
+    return { layout: mapLayoutRow(result.layout) };
+  });
+
+  // Unread mentions for the session's user (cleared over the chat socket with mentionsRead)
+  app.get('/api/mentions', async (request, reply) => {
+    if (!auth.isEnabled()) {
+      return reply.code(503).send({ error: 'auth_disabled' });
+    }
+    const session = auth.getRequestSession(request);
+    if (!session) {
+      return reply.code(401).send({ error: 'session token required' });
+    }
+    const user = session.name;
+    const limit = Math.min(Number(request.query.limit) || 50, 200);
+    try {
+      const mentions = await storage.getUnreadMentions(user, limit);
+      return { user, unread: mentions.length, mentions };
+    } catch (e) {
+      app.log.error(e, 'Failed to fetch mentions');
+      return reply.code(500).send({ error: 'Failed to fetch mentions' });
+    }
+  });
+
+  // Trader leaderboard from trade-share outcomes
+  app.get('/api/leaderboard', async (request, reply) => {
+    const window = String(request.query.window || '7d');
+    const sort = String(request.query.sort || 'winRate');
+    if (!leaderboard.WINDOWS[window]) {
+      return reply.code(400).send({ error: `window must be one of ${Object.keys(leaderboard.WINDOWS).join(', ')}` });
+    }
+    if (!leaderboard.SORTS[sort]) {
+      return reply.code(400).send({ error: `sort must be one of ${Object.keys(leaderboard.SORTS).join(', ')}` });
+    }
+    const minCalls = Math.max(Number(request.query.minCalls) || 3, 1);
+    const limit = Math.min(Number(request.query.limit) || 50, 200);
+
+    try {
+      const traders = await leaderboard.getLeaderboard({ window, minCalls, sort, limit });
+      return { window, sort, minCalls, count: traders.length, traders };
+    } catch (e) {
+      app.log.error(e, 'Failed to build leaderboard');
+      return reply.code(500).send({ error: 'Failed to build leaderboard' });
+    }
+  });
+
+  // Search chat history across rooms (newest first). Filters combine: q (words),
+  // sym, user, kind, room, since/until; page back with before=<id of last result>.
+  app.get('/api/messages/search', async (request, reply) => {
+    const query = request.query || {};
+    const filters = {
+      q: query.q ? String(query.q).trim().slice(0, 100) : null,
+      sym: query.sym ? String(query.sym).slice(0, 20) : null,
+      user: query.user ? sanitizeName(String(query.user)) : null,
+      kind: query.kind ? String(query.kind) : null,
+      room: query.room ? sanitizeRoom(String(query.room)) : null,
+      since: Number(query.since) || null,
+      until: Number(query.until) || null
+    };
+    if (filters.kind && !storage.MESSAGE_KINDS[filters.kind]) {
+      return reply.code(400).send({ error: `kind must be one of ${Object.keys(storage.MESSAGE_KINDS).join(', ')}` });
+    }
+    if (!Object.values(filters).some(Boolean)) {
+      return reply.code(400).send({ error: 'q or a filter (sym, user, kind, room, since, until) required' });
+    }
+    const limit = Math.min(Number(query.limit) || 50, 100);
+
+    const beforeId = query.before ? String(query.before).slice(0, 40) : null;
+
+    try {
+      const found = await storage.searchMessages({ ...filters, beforeId, limit });
+      if (!found) {
+        return reply.code(400).send({ error: 'unknown cursor', results: [] });
+      }
+      const rows = await storage.attachReactions(found);
+      const results = rows.map(row => mapMessageRow(row));
+      return {
+        count: results.length,
+        results,
+        nextBefore: results.length === limit ? results[results.length - 1].id : null
+      };
+    } catch (e) {
+      app.log.error(e, 'Failed to search messages');
+      return reply.code(500).send({ error: 'Failed to search messages' });
+    }
+  });
+
+  // Get chat history. before/after take a message id (cursor) or, for before,
+  // a legacy epoch-ms timestamp. Pages are returned oldest first.
   app.get('/api/messages/:room', async (request, reply) => {
-    const room = String(request.params.room || 'global');
+    const room = sanitizeRoom(request.params.room);
     const limit = Math.min(Number(request.query.limit) || 50, 100);
-    const before = request.query.before ? Number(request.query.before) : null;
+    const cursor = parseHistoryCursor(request.query);
     
     try {
-      if (storage.pgClient) {
-        let query = `
-          SELECT id, user_name, user_color, text, is_trade, trade_sym, trade_side, trade_lev, trade_entry, trade_take_profit, trade_stop_loss,
-                 is_order, order_sym, order_side, order_lev, order_price, order_qty, order_type, order_take_profit, order_stop_loss,
-                 is_layout, layout_name, layout_window_count, layout_windows, reply_to, client_id,
-                 EXTRACT(EPOCH FROM created_at) * 1000 as ts
-          FROM chat_messages 
-          WHERE room = $1
-        `;
-        const params = [room, limit];
-        
-        if (before) {
-          query += ` AND created_at < TO_TIMESTAMP($3/1000.0)`;
-          params.push(before);
-        }
-        
-        query += ` ORDER BY created_at DESC LIMIT $2`;
-        
-        const result = await storage.pgClient.query(query, params);
-        const messages = result.rows.reverse().map(row => mapMessageRow(row, room));
-        return { messages };
-      } else {
-        let messages = storage.memoryMessages.filter(m => m.room === room);
-        
-        if (before) {
-          messages = messages.filter(m => m.ts < before);
-        }
-        
-        const slicedMessages = messages
-          .slice(-limit)
-          .map(m => mapMessageRow(m, room));
-          
-        return { messages: slicedMessages };
+      const page = await storage.getMessagesPage(room, { limit, ...cursor });
+      if (!page) {
+        return reply.code(400).send({ error: 'unknown cursor', messages: [] });
       }
+      const rows = await storage.attachReactions(page.rows);
+      const messages = rows.map(row => mapMessageRow(row, room));
+      return {
+        messages,
+        hasMore: page.hasMore,
+        cursors: messages.length ? { before: messages[0].id, after: messages[messages.length - 1].id } : null
+      };
     } catch (e) {
       app.log.error(e, 'Failed to fetch messages');
       return { messages: [] };
     }
   });
 
+  // Export a room's messages (admin only) as streamed NDJSON or CSV, oldest first.
+  // Optional since/until (epoch ms) bound the range.
+  app.get('/api/messages/:room/export', async (request, reply) => {
+    if (!isAdminRequest(request)) {
+      return reply.code(401).send({ error: 'unauthorized' });
+    }
+    const room = sanitizeRoom(request.params.room);
+    const format = String(request.query.format || 'ndjson').toLowerCase();
+    if (!messageExport.FORMATS[format]) {
+      return reply.code(400).send({ error: `format must be one of ${Object.keys(messageExport.FORMATS).join(', ')}` });
+    }
+    const since = Number(request.query.since) || null;
+    const until = Number(request.query.until) || null;
+    const actor = String(request.headers['x-admin-actor'] || 'admin').slice(0, 60);
+
+    async function* lines() {
+      let count = 0;
+      try {
+        yield messageExport.header(format);
+        for await (const batch of storage.streamMessages(room, { since, until })) {
+          const rows = await storage.attachReactions(batch);
+          count += rows.length;
+          yield rows.map(row => messageExport.line(format, mapMessageRow(row, room))).join('');
+        }
+      } finally {
+        console.log(`[Export] ${count} messages from ${room} as ${format} by ${actor}`);
+        storage.recordAudit({ action: 'messages.export', actor, ip: getClientIp(request), scope: { room, since, until, format }, affected: count })
+          .catch(e => console.error('[Export] Audit failed:', e.message));
+      }
+    }
+
+    const { contentType, extension } = messageExport.FORMATS[format];
+    const stamp = new Date().toISOString().slice(0, 10);
+    return reply
+      .type(contentType)
+      .header('content-disposition', `attachment; filename="${room}-${stamp}.${extension}"`)
+      .send(Readable.from(lines()));
+  });
+
+  // Get a thread: root message followed by its replies
+  app.get('/api/messages/:room/thread/:id', async (request, reply) => {
+    const room = sanitizeRoom(request.params.room);
+    const rootId = String(request.params.id).slice(0, 40);
+    const limit = Math.min(Number(request.query.limit) || 100, 200);
+
+    try {
+      const root = await storage.getMessage(rootId);
+      if (!root || root.room !== room) {
+        return reply.code(404).send({ error: 'Message not found' });
+      }
+      // A reply id resolves to the thread it belongs to
+      const threadRoot = root.thread_id || root.id;
+      const rows = await storage.attachReactions(await storage.getThread(room, threadRoot, limit));
+      return { room, threadId: threadRoot, messages: rows.map(row => mapMessageRow(row, room)) };
+    } catch (e) {
+      app.log.error(e, 'Failed to fetch thread');
+      return reply.code(500).send({ error: 'Failed to fetch thread' });
+    }
+  });
+
   // Trade events endpoint
   app.post('/api/trade-events', async (request, reply) => {
     try {
@@ -266,10 +864,7 @@ module.exports = function(app) {
     if (!ENABLE_TRADE_EVENTS_READ) {
       return reply.code(404).send({ error: 'not_found' });
     }
-    const hdr = request.headers || {};
-    const bearer = typeof hdr['authorization'] === 'string' ? hdr['authorization'].replace(/^Bearer\s+/i, '') : '';
-    const token = hdr['x-admin-token'] || hdr['x-adminkey'] || bearer || '';
-    if (!ADMIN_TOKEN || String(token) !== String(ADMIN_TOKEN)) {
+    if (!isAdminRequest(request)) {
       return reply.code(401).send({ error: 'unauthorized' });
     }
 
@@ -484,3 +1079,6 @@ module.exports = function(app) {
   });
 };
 
+module.exports.mapMessageRow = mapMessageRow;
+module.exports.mapPoll = mapPoll;
+module.exports.loadRoomPins = loadRoomPins;
@@ -1,34 +1,40 @@
 // WebSocket routes for chat, news, volatility alerts, and market data hub
 
 const { nanoid } = require('nanoid');
-const { sanitizeInput, sanitizeName, checkRateLimit, cleanupRateLimit } = require('../middleware/validation');
+const { sanitizeInput, sanitizeName, nameKey, sanitizeRoom, checkRateLimit, getClientIp, isAdminToken } = require('../middleware/validation');
 const storage = require('../services/storage');
+const auth = require('../services/auth');
+const shareOutcomes = require('../services/shareOutcomes');
+const moderation = require('../services/moderation');
+const idempotency = require('../services/idempotency');
+const commands = require('../services/commands');
+const layouts = require('../services/layouts');
+const follows = require('../services/follows');
+const { mapMessageRow, mapPoll, loadRoomPins } = require('./api');
+const { MESSAGE_EDIT_WINDOW_MS } = require('../config/constants');
+const { broadcast, broadcastPresence, joinRoom, leaveRoom, setMember, getRoster, registerUser, unregisterUser, sendToUser, DEFAULT_ROOM } = require('../services/rooms');
 const news = require('../services/news');
 const { getHub } = require('../services/hub/PublicDataHub');
+const { resolveInstrument, findTicker } = require('../services/symbols');
+const { normalizeOrder } = require('../services/orderRules');
+
+const MAX_MENTIONS = 5;
+const CATCHUP_LIMIT = 100;
+const TYPING_MIN_INTERVAL = 2000; // per connection
+const TYPING_TTL = 6000;          // clients drop a typing indicator after this long
+const POLL_OPTIONS = { min: 2, max: 6 };
+const MAX_PINS = 10; // per room, message pins and announcements together
+const POLL_DURATION = { min: 60 * 1000, max: 30 * 24 * 60 * 60 * 1000 }; // 1 minute .. 30 days
 
 // Field length limits (centralized)
-const LIMITS = { clientId: 40, symbol: 20, price: 32, leverage: 6, layoutName: 30 };
+const LIMITS = { clientId: 40, messageId: 40, symbol: 20, price: 32, leverage: 6, layoutName: 30, emoji: 16, pollOption: 80 };
 const clip = (val, limit) => val ? String(val).slice(0, limit) : undefined;
 
-const rooms = new Map();
-const activeConnections = new Map();
+const lastTyping = new Map(); // connectionId -> ts of last relayed typing event
+
 let newsClients = new Set();
 let volatilityClients = new Set();
 
-function broadcast(room, payload) {
-  const set = rooms.get(room);
-  if (!set) return;
-  const data = JSON.stringify(payload);
-  for (const ws of set) {
-    try { ws.send(data); } catch (_) {}
-  }
-}
-
-function broadcastPresence(room) {
-  const count = activeConnections.get(room)?.size || 0;
-  broadcast(room, { type: 'presence', room, count });
-}
-
 // ============= FEED SUBSCRIPTION FACTORY =============
 // Handles ws-news and ws-volatility with unified logic
 
@@ -119,32 +125,68 @@ async function sendVolatilityHistory(ws, connectionId) {
 
 // ============= CHAT MESSAGE HANDLERS =============
 
+// Resolve the hello identity: a valid session token wins, otherwise the user is a
+// guest and may not take a name reserved by an account
+async function resolveHelloUser(ws, msg, connectionId) {
+  const color = String(msg?.user?.color || '#aaa').match(/^#[0-9A-Fa-f]{6}$/) ? msg.user.color : '#aaa';
+
+  if (msg.token) {
+    const claims = auth.verifyToken(String(msg.token));
+    if (claims) {
+      // Signed-in users chat in their stored profile color; the first hello stores the client's pick
+      const profile = await storage.ensureUserProfile(claims.name, color)
+        .catch(e => { console.error(`❌ [WS ${connectionId}] Profile load failed:`, e.message); return null; });
+      return { id: claims.sub, name: claims.name, color: profile?.color || color, guest: false };
+    }
+    ws.send(JSON.stringify({ type: 'error', message: 'Invalid or expired session' }));
+  }
+
+  let name = sanitizeName(msg?.user?.name);
+  if (await auth.isNameReserved(name)) {
+    name = `Guest-${connectionId.slice(0, 4)}`;
+  }
+  return { name, color, guest: true };
+}
+
 function buildBasePayload(id, room, user, clientIdRaw) {
   return {
     type: 'message',
     id,
     room,
-    user: { name: user.name, color: user.color },
+    user: { name: user.name, color: user.color, guest: !!user.guest },
     ts: Date.now(),
     clientId: clip(clientIdRaw, LIMITS.clientId)
   };
 }
 
-async function handleChatMessage(ws, msg, user, room, connectionId, clientIp) {
-  if (!checkRateLimit(connectionId)) {
-    console.warn(`⏱️  [WS ${connectionId}] Rate limit exceeded - user: ${user.name}`);
-    ws.send(JSON.stringify({ type: 'error', message: 'Rate limit exceeded' }));
-    return;
-  }
-  
+async function handleChatMessage(ws, msg, user, room, connectionId) {
   const text = sanitizeInput(msg.text);
   if (!text) return;
+
+  // Slash commands are answered by the server instead of being posted
+  if (commands.isCommand(text)) return handleCommand(ws, text, user, room, connectionId);
   
+  // Replies reference a parent message id in the same room
+  let parent = null;
+  if (msg.replyTo) {
+    const parentId = clip(msg.replyTo, LIMITS.messageId);
+    parent = await storage.getMessage(parentId);
+    if (!parent || parent.deleted_at || parent.room !== room) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Reply target not found' }));
+      return;
+    }
+  }
+
   const id = nanoid();
+  const mentions = parseMentions(text, user.name);
+  const threadId = parent ? (parent.thread_id || parent.id) : null;
   const payload = {
     ...buildBasePayload(id, room, user, msg.clientId),
     text,
-    replyTo: msg.replyTo ? sanitizeName(msg.replyTo) : null
+    replyTo: parent ? parent.id : null,
+    threadId,
+    replyPreview: parent ? buildReplyPreview(parent) : undefined,
+    mentions
   };
   
   console.log(`💬 [WS ${connectionId}] Chat - user: ${user.name}, len: ${text.length}`);
@@ -152,84 +194,662 @@ async function handleChatMessage(ws, msg, user, room, connectionId, clientIp) {
   
   await storage.persistMessage({
     id, room, user_name: user.name, user_color: user.color,
-    text, is_trade: false, reply_to: payload.replyTo, client_id: payload.clientId
+    text, is_trade: false, reply_to: payload.replyTo, thread_id: threadId, client_id: payload.clientId
   }).catch(e => console.error(`❌ [WS ${connectionId}] Persist failed:`, e.message));
+
+  if (mentions.length) await notifyMentions(payload, mentions, connectionId);
+  return { id, message: payload };
+}
+
+// Private message to one user: delivered to the recipient's sockets and echoed to
+// the sender's, never broadcast to a room. Both ends must be accounts: a guest
+// name can be taken by anyone, who would then read the thread.
+async function handleDirectMessage(ws, msg, user, room, connectionId) {
+  if (user.guest) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Sign in to send direct messages' }));
+    return;
+  }
+  const to = sanitizeName(msg.to);
+  if (!msg.to || to === 'Anon' || nameKey(to) === nameKey(user.name)) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Invalid direct message recipient' }));
+    return;
+  }
+  if (!(await auth.isNameReserved(to))) {
+    ws.send(JSON.stringify({ type: 'error', message: `${to} has no account to message` }));
+    return;
+  }
+  const text = sanitizeInput(msg.text);
+  if (!text) return;
+
+  const id = nanoid();
+  const payload = {
+    type: 'dm',
+    id,
+    from: { name: user.name, color: user.color, guest: !!user.guest },
+    to,
+    text,
+    ts: Date.now(),
+    clientId: clip(msg.clientId, LIMITS.clientId)
+  };
+
+  const delivered = sendToUser(to, payload);
+  sendToUser(user.name, payload);
+  console.log(`✉️  [WS ${connectionId}] DM - ${user.name} -> ${to}, len: ${text.length}${delivered ? '' : ' (offline)'}`);
+
+  await storage.persistDirectMessage({
+    id, sender: user.name, sender_color: user.color, recipient: to, text, client_id: payload.clientId
+  }).catch(e => console.error(`❌ [WS ${connectionId}] DM persist failed:`, e.message));
+  return { id, message: payload, delivered: delivered > 0 };
+}
+
+// System-styled reply to a slash command; visibility says whether the whole room
+// or only the requester got it. Replies are live data and are not persisted.
+function handleCommand(ws, text, user, room, connectionId) {
+  const { name, scope, text: reply } = commands.execute(text);
+  const payload = {
+    type: 'message',
+    id: nanoid(),
+    room,
+    system: true,
+    user: { name: 'Terminal', color: '#888888' },
+    ts: Date.now(),
+    text: reply,
+    command: { name, requestedBy: user.name },
+    visibility: scope
+  };
+
+  console.log(`⌨️  [WS ${connectionId}] Command /${name} by ${user.name} -> ${scope}`);
+  if (scope === 'room') broadcast(room, payload);
+  else ws.send(JSON.stringify(payload));
+  return { id: payload.id, command: name, visibility: scope };
+}
+
+// Messages after lastSeenId for a reconnecting client. An unknown cursor
+// (e.g. the message was cleared) falls back to the latest page with resync set.
+async function loadMissedMessages(room, lastSeenId) {
+  let page = await storage.getMessagesPage(room, { limit: CATCHUP_LIMIT, afterId: lastSeenId });
+  let resync = false;
+  if (!page) {
+    page = await storage.getMessagesPage(room, { limit: CATCHUP_LIMIT });
+    resync = true;
+  }
+  const rows = await storage.attachReactions(page.rows);
+  return { missed: rows.map(row => mapMessageRow(row, room)), hasMore: page.hasMore, resync };
+}
+
+// Short quote of a parent message for reply rendering
+function buildReplyPreview(row) {
+  let text = row.text || '';
+  if (row.is_trade) text = `${row.trade_sym} ${row.trade_side}${row.trade_entry ? ` @ ${row.trade_entry}` : ''}`;
+  else if (row.is_order) text = `${row.order_sym} ${row.order_side} ${row.order_type || ''} @ ${row.order_price || 'market'}`.replace(/\s+/g, ' ');
+  else if (row.is_layout) text = `Layout: ${row.layout_name}`;
+  else if (row.is_poll) text = `Poll: ${row.poll_question}`;
+  return {
+    id: row.id,
+    user: { name: row.user_name, color: row.user_color },
+    text: text.length > 80 ? `${text.slice(0, 77)}...` : text
+  };
+}
+
+// Unique @names in a chat line, excluding the author
+function parseMentions(text, author) {
+  const seen = new Map();
+  for (const [, name] of text.matchAll(/(?:^|[^\w@])@([\w.-]{1,20})/g)) {
+    const key = name.toLowerCase();
+    if (key !== author.toLowerCase() && !seen.has(key)) seen.set(key, name);
+  }
+  return Array.from(seen.values()).slice(0, MAX_MENTIONS);
+}
+
+// Push a targeted mention event to every socket the mentioned users have open
+async function notifyMentions(payload, mentions, connectionId) {
+  const event = {
+    type: 'mention', room: payload.room, messageId: payload.id,
+    from: payload.user, text: payload.text, ts: payload.ts
+  };
+  for (const name of mentions) sendToUser(name, event);
+
+  await storage.addMentions(payload.id, payload.room, payload.user.name, payload.text, mentions)
+    .catch(e => console.error(`❌ [WS ${connectionId}] Mention persist failed:`, e.message));
+}
+
+// Clear unread mentions for the connected user (all, or the given message ids)
+async function handleMentionsRead(ws, msg, user) {
+  if (user.name === 'Anon') return;
+  const ids = Array.isArray(msg.ids) ? msg.ids.map(id => clip(id, LIMITS.messageId)).filter(Boolean).slice(0, 100) : [];
+  const count = await storage.markMentionsRead(user.name, ids);
+  ws.send(JSON.stringify({ type: 'mentionsRead', count }));
+  return { count };
+}
+
+// Follow or unfollow a trader: { type: 'follow' | 'unfollow', user }
+// Follows need a signed session, and only account names can be followed
+// (guest names are unreserved, so anyone could post as them)
+async function handleFollow(ws, msg, user, room, connectionId) {
+  if (user.guest) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Sign in to follow traders' }));
+    return;
+  }
+  const trader = sanitizeName(msg.user);
+  if (!msg.user || trader === 'Anon') {
+    ws.send(JSON.stringify({ type: 'error', message: 'Invalid trader to follow' }));
+    return;
+  }
+  if (msg.type === 'follow' && !(await auth.isNameReserved(trader))) {
+    ws.send(JSON.stringify({ type: 'error', message: `${trader} has no account to follow` }));
+    return;
+  }
+  const result = msg.type === 'follow' ? await follows.follow(user.name, trader) : await follows.unfollow(user.name, trader);
+  if (result.error) {
+    ws.send(JSON.stringify({ type: 'error', message: result.error }));
+    return;
+  }
+  console.log(`👣 [WS ${connectionId}] ${user.name} ${msg.type}s ${trader}`);
+  return { trader, ...result };
+}
+
+// Check a share's symbol against the venue's instruments and stamp the live price.
+// Returns { sym, exchange, markPrice, instrument } (venue-native symbol) or null after reporting why.
+function resolveShareSymbol(ws, msg, kind) {
+  const hub = getHub();
+  const exchange = msg.exchange ? clip(msg.exchange, LIMITS.symbol).toLowerCase() : null;
+  const resolved = resolveInstrument(hub, clip(msg.sym, LIMITS.symbol), exchange);
+  if (resolved.error) {
+    ws.send(JSON.stringify({ type: 'error', code: 'invalid_symbol', message: `Cannot share ${kind}: ${resolved.error}` }));
+    return null;
+  }
+  const found = findTicker(hub, resolved.symbol, resolved.exchange);
+  return {
+    sym: resolved.symbol,
+    exchange: resolved.exchange || found?.exchange || null,
+    markPrice: found ? found.price : null,
+    instrument: resolved.instrument
+  };
 }
 
 async function handleTradeShare(ws, msg, user, room, connectionId) {
+  const resolved = resolveShareSymbol(ws, msg, 'trade');
+  if (!resolved) return;
+  const { sym, exchange, markPrice } = resolved;
   const id = nanoid();
-  const sym = clip(msg.sym, LIMITS.symbol)?.toUpperCase() || '';
   const side = /long/i.test(msg.side) ? 'Long' : 'Short';
   const lev = clip(msg.lev, LIMITS.leverage);
   const entry = clip(msg.entry, LIMITS.price);
   const takeProfit = clip(msg.takeProfit, LIMITS.price);
   const stopLoss = clip(msg.stopLoss, LIMITS.price);
+  const levelError = shareOutcomes.checkLevels({ long: side === 'Long', entry, takeProfit, stopLoss, markPrice });
+  if (levelError) {
+    ws.send(JSON.stringify({ type: 'error', code: 'invalid_levels', message: `Cannot share trade: ${levelError}` }));
+    return;
+  }
   
   const payload = {
     ...buildBasePayload(id, room, user, msg.clientId),
     tradeShare: true,
-    share: { sym, side, lev, entry, takeProfit, stopLoss }
+    share: { sym, side, lev, entry, takeProfit, stopLoss, exchange: exchange || undefined, markPrice: markPrice || undefined }
   };
   
-  console.log(`📈 [WS ${connectionId}] Trade share - ${sym} ${side}`);
+  console.log(`📈 [WS ${connectionId}] Trade share - ${sym} ${side}${exchange ? ` on ${exchange}` : ''}`);
   broadcast(room, payload);
+  if (!user.guest) follows.deliver(user.name, payload);
   
-  await storage.persistMessage({
+  const record = {
     id, room, user_name: user.name, user_color: user.color, is_trade: true,
     trade_sym: sym, trade_side: side, trade_lev: lev, trade_entry: entry,
     trade_take_profit: takeProfit || null, trade_stop_loss: stopLoss || null,
-    client_id: payload.clientId
-  }).catch(e => console.error(`❌ [WS ${connectionId}] Trade persist failed:`, e.message));
+    trade_status: entry ? 'pending' : 'open', trade_exchange: exchange, trade_mark_price: markPrice, client_id: payload.clientId
+  };
+  await storage.persistMessage(record)
+    .catch(e => console.error(`❌ [WS ${connectionId}] Trade persist failed:`, e.message));
+  shareOutcomes.trackShare({ ...record, ts: payload.ts });
+  return { id, message: payload };
+}
+
+// Round a shared order to the instrument's tick/lot rules. Returns the shared
+// fields (normalized strings) plus the copy-ready order, or null after reporting why.
+// Without a cached instrument the fields pass through and there is no copy.
+function normalizeOrderFields(ws, fields, sym, exchange, instrument, action = 'share order') {
+  if (!instrument) return { fields, copy: null };
+  const { order, error } = normalizeOrder(exchange, sym, instrument, fields);
+  if (error) {
+    ws.send(JSON.stringify({ type: 'error', code: 'invalid_order', message: `Cannot ${action}: ${error}` }));
+    return null;
+  }
+  const text = (v) => (v === undefined ? undefined : String(v));
+  return {
+    fields: {
+      ...fields,
+      price: text(order.price),
+      qty: text(order.qty),
+      lev: text(order.leverage),
+      takeProfit: text(order.takeProfit),
+      stopLoss: text(order.stopLoss)
+    },
+    copy: order
+  };
 }
 
 async function handleOrderShare(ws, msg, user, room, connectionId) {
+  const resolved = resolveShareSymbol(ws, msg, 'order');
+  if (!resolved) return;
+  const { sym, exchange, markPrice, instrument } = resolved;
+  const normalized = normalizeOrderFields(ws, {
+    side: /long/i.test(msg.side) ? 'Long' : 'Short',
+    lev: clip(msg.lev, LIMITS.leverage),
+    price: clip(msg.price, LIMITS.price),
+    qty: clip(msg.qty, LIMITS.price),
+    orderType: clip(msg.orderType || 'Limit', LIMITS.symbol),
+    takeProfit: clip(msg.takeProfit, LIMITS.price),
+    stopLoss: clip(msg.stopLoss, LIMITS.price)
+  }, sym, exchange, instrument);
+  if (!normalized) return;
+  const { side, lev, price, qty, orderType, takeProfit, stopLoss } = normalized.fields;
+  const copy = normalized.copy || undefined;
   const id = nanoid();
-  const sym = clip(msg.sym, LIMITS.symbol)?.toUpperCase() || '';
-  const side = /long/i.test(msg.side) ? 'Long' : 'Short';
-  const lev = clip(msg.lev, LIMITS.leverage);
-  const price = clip(msg.price, LIMITS.price);
-  const qty = clip(msg.qty, LIMITS.price);
-  const orderType = clip(msg.orderType || 'Limit', LIMITS.symbol);
-  const takeProfit = clip(msg.takeProfit, LIMITS.price);
-  const stopLoss = clip(msg.stopLoss, LIMITS.price);
   
   const payload = {
     ...buildBasePayload(id, room, user, msg.clientId),
     orderShare: true,
-    order: { sym, side, lev, price, qty, orderType, takeProfit, stopLoss }
+    order: { sym, side, lev, price, qty, orderType, takeProfit, stopLoss, exchange: exchange || undefined, markPrice: markPrice || undefined, copy }
   };
   
-  console.log(`📋 [WS ${connectionId}] Order share - ${sym} ${side} @ ${price}`);
+  console.log(`📋 [WS ${connectionId}] Order share - ${sym} ${side} @ ${price}${exchange ? ` on ${exchange}` : ''}`);
   broadcast(room, payload);
+  if (!user.guest) follows.deliver(user.name, payload);
   
   await storage.persistMessage({
     id, room, user_name: user.name, user_color: user.color, is_order: true,
     order_sym: sym, order_side: side, order_lev: lev, order_price: price,
     order_qty: qty, order_type: orderType, order_take_profit: takeProfit || null,
-    order_stop_loss: stopLoss || null, client_id: payload.clientId
+    order_stop_loss: stopLoss || null, order_exchange: exchange, order_mark_price: markPrice,
+    order_copy: copy ? JSON.stringify(copy) : null, client_id: payload.clientId
   }).catch(e => console.error(`❌ [WS ${connectionId}] Order persist failed:`, e.message));
+  return { id, message: payload };
 }
 
+// Share a saved public layout ({ layoutId, version? }) or inline windows; either
+// way the windows must pass the layout schema
 async function handleLayoutShare(ws, msg, user, room, connectionId) {
+  const fail = (reason) => ws.send(JSON.stringify({ type: 'error', message: `Cannot share layout: ${reason}` }));
+  let layout;
+  if (msg.layoutId) {
+    const viewer = user.guest ? null : user.name;
+    const saved = await layouts.getVisible(clip(msg.layoutId, LIMITS.messageId), viewer, Number(msg.version) || null);
+    if (!saved) return fail('layout not found');
+    if (!saved.is_public) return fail('make the layout public to share it');
+    layout = { layoutName: saved.name, windowCount: saved.windows.length, windows: saved.windows, layoutId: saved.id, version: saved.version };
+  } else {
+    const checked = layouts.validateWindows(Array.isArray(msg.windows) ? msg.windows : []);
+    if (checked.error) return fail(checked.error);
+    const layoutName = clip(msg.layoutName || 'Layout', LIMITS.layoutName);
+    layout = { layoutName, windowCount: checked.windows.length, windows: checked.windows };
+  }
+
   const id = nanoid();
-  const layoutName = clip(msg.layoutName || 'Layout', LIMITS.layoutName);
-  const windowCount = parseInt(msg.windowCount) || 0;
-  const windows = Array.isArray(msg.windows) ? msg.windows : [];
-  
   const payload = {
     ...buildBasePayload(id, room, user, msg.clientId),
     layoutShare: true,
-    layout: { layoutName, windowCount, windows }
+    layout
   };
   
-  console.log(`📐 [WS ${connectionId}] Layout share - ${layoutName} (${windowCount} windows)`);
+  console.log(`📐 [WS ${connectionId}] Layout share - ${layout.layoutName} (${layout.windowCount} windows)`);
   broadcast(room, payload);
   
   await storage.persistMessage({
     id, room, user_name: user.name, user_color: user.color, is_layout: true,
-    layout_name: layoutName, layout_window_count: windowCount,
-    layout_windows: JSON.stringify(windows), client_id: payload.clientId
+    layout_name: layout.layoutName, layout_window_count: layout.windowCount,
+    layout_windows: JSON.stringify(layout.windows), layout_id: layout.layoutId, layout_version: layout.version,
+    client_id: payload.clientId
   }).catch(e => console.error(`❌ [WS ${connectionId}] Layout persist failed:`, e.message));
+  return { id, message: payload };
+}
+
+// Poll close time from closesAt (epoch ms) or durationMs, clamped; null = no close time
+function parsePollClose(msg) {
+  const now = Date.now();
+  const at = Number(msg.closesAt) || (Number(msg.durationMs) > 0 ? now + Number(msg.durationMs) : 0);
+  if (!at) return null;
+  return Math.min(Math.max(at, now + POLL_DURATION.min), now + POLL_DURATION.max);
+}
+
+async function handlePoll(ws, msg, user, room, connectionId) {
+  const question = sanitizeInput(msg.question);
+  const seen = new Set();
+  const options = (Array.isArray(msg.options) ? msg.options : [])
+    .map(o => clip(sanitizeInput(o), LIMITS.pollOption))
+    .filter(o => o && !seen.has(o.toLowerCase()) && seen.add(o.toLowerCase()));
+  if (!question || options.length < POLL_OPTIONS.min || options.length > POLL_OPTIONS.max) {
+    ws.send(JSON.stringify({ type: 'error', message: `Poll needs a question and ${POLL_OPTIONS.min}-${POLL_OPTIONS.max} distinct options` }));
+    return;
+  }
+
+  const id = nanoid();
+  const record = {
+    id, room, user_name: user.name, user_color: user.color, is_poll: true,
+    poll_question: question, poll_options: JSON.stringify(options),
+    poll_tallies: JSON.stringify(options.map(() => 0)), poll_closes_at: parsePollClose(msg),
+    client_id: clip(msg.clientId, LIMITS.clientId)
+  };
+  const payload = {
+    ...buildBasePayload(id, room, user, msg.clientId),
+    pollShare: true,
+    poll: mapPoll(record)
+  };
+
+  console.log(`📊 [WS ${connectionId}] Poll - ${options.length} options by ${user.name}`);
+  broadcast(room, payload);
+
+  await storage.persistMessage(record)
+    .catch(e => console.error(`❌ [WS ${connectionId}] Poll persist failed:`, e.message));
+  return { id, message: payload };
+}
+
+// One vote per user; voting again moves the vote. The room gets the new tallies.
+async function handleVote(ws, msg, user, room, connectionId) {
+  const fail = (reason) => ws.send(JSON.stringify({ type: 'error', message: `Cannot vote: ${reason}` }));
+  if (user.name === 'Anon') return fail('say hello first');
+
+  const id = clip(msg.id, LIMITS.messageId);
+  const row = id ? await storage.getMessage(id) : null;
+  if (!row || !row.is_poll || row.deleted_at) return fail('poll not found');
+  const poll = mapPoll(row);
+  if (poll.closed) return fail('poll is closed');
+  const option = Number(msg.option);
+  if (!Number.isInteger(option) || option < 0 || option >= poll.options.length) return fail('invalid option');
+
+  const result = await storage.castPollVote(row.id, user.name, option);
+  if (!result) return fail('poll not found');
+  const updated = mapPoll(result.row);
+
+  console.log(`🗳️  [WS ${connectionId}] Vote ${option} on ${row.id} by ${user.name}`);
+  broadcast(row.room, { type: 'pollUpdated', room: row.room, id: row.id, poll: updated });
+  return { id: row.id, option, previous: result.previous, poll: updated };
+}
+
+// Look up a message the user authored and may still change, or report why not
+async function getOwnMessage(ws, msg, user, action) {
+  const fail = (reason) => {
+    ws.send(JSON.stringify({ type: 'error', message: `Cannot ${action} message: ${reason}` }));
+    return null;
+  };
+  const id = clip(msg.id, LIMITS.messageId);
+  const row = id ? await storage.getMessage(id) : null;
+  if (!row || row.deleted_at) return fail('not found');
+  if (user.name === 'Anon' || row.user_name !== user.name) return fail('not the author');
+  if (Date.now() - Number(row.ts) > MESSAGE_EDIT_WINDOW_MS) return fail('edit window expired');
+  return row;
+}
+
+async function handleEditMessage(ws, msg, user, room, connectionId) {
+  const row = await getOwnMessage(ws, msg, user, 'edit');
+  if (!row) return;
+
+  let fields;
+  if (row.is_trade) {
+    // Calls are scored from their levels as shared, so those are locked; closed calls are final
+    if (!['pending', 'open'].includes(row.trade_status || 'open')) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Cannot edit message: trade is closed' }));
+      return;
+    }
+    const levels = { entry: row.trade_entry, takeProfit: row.trade_take_profit, stopLoss: row.trade_stop_loss };
+    if (Object.entries(levels).some(([key, value]) => msg[key] !== undefined && clip(msg[key], LIMITS.price) !== (value || undefined))) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Cannot edit message: entry, takeProfit and stopLoss are locked once shared' }));
+      return;
+    }
+    fields = { trade_lev: clip(msg.lev, LIMITS.leverage) };
+  } else if (row.is_order) {
+    fields = {
+      order_lev: clip(msg.lev, LIMITS.leverage),
+      order_price: clip(msg.price, LIMITS.price),
+      order_qty: clip(msg.qty, LIMITS.price),
+      order_type: clip(msg.orderType, LIMITS.symbol),
+      order_take_profit: clip(msg.takeProfit, LIMITS.price),
+      order_stop_loss: clip(msg.stopLoss, LIMITS.price)
+    };
+    // Orders normalized at share time are re-checked against their instrument
+    const instrument = row.order_copy && Object.values(fields).some(v => v !== undefined)
+      ? getHub().getInstrument(row.order_exchange, row.order_sym) : null;
+    if (instrument) {
+      const normalized = normalizeOrderFields(ws, {
+        side: row.order_side,
+        lev: fields.order_lev ?? row.order_lev,
+        price: fields.order_price ?? row.order_price,
+        qty: fields.order_qty ?? row.order_qty,
+        orderType: fields.order_type ?? row.order_type,
+        takeProfit: fields.order_take_profit ?? row.order_take_profit,
+        stopLoss: fields.order_stop_loss ?? row.order_stop_loss
+      }, row.order_sym, row.order_exchange, instrument, 'edit message');
+      if (!normalized) return;
+      const f = normalized.fields;
+      fields = {
+        order_lev: f.lev, order_price: f.price, order_qty: f.qty, order_type: f.orderType,
+        order_take_profit: f.takeProfit, order_stop_loss: f.stopLoss, order_copy: JSON.stringify(normalized.copy)
+      };
+    }
+  } else if (row.is_layout || row.is_poll) {
+    ws.send(JSON.stringify({ type: 'error', message: `Cannot edit message: ${row.is_poll ? 'polls' : 'layouts'} are not editable` }));
+    return;
+  } else {
+    fields = { text: sanitizeInput(msg.text) || undefined };
+  }
+
+  // Only fields the client actually sent are changed
+  fields = Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined));
+  if (!Object.keys(fields).length) return;
+
+  const updated = await storage.updateMessage(row.id, fields);
+  if (!updated) return;
+
+  const message = mapMessageRow(updated);
+  console.log(`✏️  [WS ${connectionId}] Edit - ${row.id} by ${user.name}`);
+  broadcast(updated.room, { type: 'messageUpdated', room: updated.room, id: updated.id, editedAt: message.editedAt, message });
+  return { id: updated.id, message };
+}
+
+async function handleDeleteMessage(ws, msg, user, room, connectionId) {
+  const row = await getOwnMessage(ws, msg, user, 'delete');
+  if (!row) return;
+
+  const deleted = await storage.deleteMessage(row.id);
+  if (!deleted) return;
+  shareOutcomes.untrackShare(deleted.id);
+
+  console.log(`🗑️  [WS ${connectionId}] Delete - ${row.id} by ${user.name}`);
+  broadcast(deleted.room, { type: 'messageDeleted', room: deleted.room, id: deleted.id, deletedAt: Number(deleted.deleted_at) });
+  return { id: deleted.id, deletedAt: Number(deleted.deleted_at) };
+}
+
+// Toggle an emoji reaction; the room gets the message's new aggregate
+async function handleReaction(ws, msg, user, room, connectionId) {
+  const emoji = typeof msg.emoji === 'string' ? msg.emoji.trim() : '';
+  if (!emoji || emoji.length > LIMITS.emoji || !/\p{Extended_Pictographic}/u.test(emoji) || /[\w<>]/.test(emoji)) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Invalid reaction' }));
+    return;
+  }
+  const id = clip(msg.id, LIMITS.messageId);
+  const row = id ? await storage.getMessage(id) : null;
+  if (!row || row.deleted_at) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Cannot react: message not found' }));
+    return;
+  }
+
+  const { added, reactions } = await storage.toggleReaction(row.id, user.name, emoji);
+  console.log(`${added ? '➕' : '➖'} [WS ${connectionId}] Reaction ${emoji} on ${row.id} by ${user.name}`);
+  broadcast(row.room, { type: 'reactionsUpdated', room: row.room, id: row.id, reactions });
+  return { id: row.id, added, reactions };
+}
+
+// Ephemeral typing indicator: relayed to the rest of the room, never persisted.
+// Start events are throttled per connection; muted or banned users are ignored.
+function handleTyping(ws, msg, user, room, connectionId, clientIp) {
+  if (user.name === 'Anon') return;
+  if (moderation.getBlock({ name: user.name, ip: clientIp, room })) return;
+  const active = msg.active !== false;
+  const now = Date.now();
+  const last = lastTyping.get(connectionId);
+  if (active) {
+    if (last && now - last < TYPING_MIN_INTERVAL) return;
+    lastTyping.set(connectionId, now);
+  } else {
+    if (!last) return;
+    lastTyping.delete(connectionId);
+  }
+  broadcast(room, { type: 'typing', room, user: { name: user.name, color: user.color }, active, ttl: TYPING_TTL }, ws);
+}
+
+// Admins (adminToken) and signed-in room owners may pin and unpin
+function canPin(msg, user, room) {
+  return isAdminToken(msg.adminToken) || (!user.guest && moderation.isRoomOwner(room, user.name));
+}
+
+// Pin a message in the room ({ id }) or post an announcement banner ({ announcement })
+async function handlePin(ws, msg, user, room, connectionId) {
+  const fail = (reason, code) => ws.send(JSON.stringify({ type: 'error', ...(code && { code }), message: `Cannot pin: ${reason}` }));
+  if (!canPin(msg, user, room)) return fail('room owner or admin only', 'unauthorized');
+
+  const existing = await storage.getPins(room);
+  if (existing.length >= MAX_PINS) return fail(`room already has ${MAX_PINS} pins`);
+
+  const pin = { id: nanoid(), room, created_by: user.name };
+  if (msg.announcement !== undefined) {
+    pin.text = sanitizeInput(msg.announcement);
+    if (!pin.text) return fail('announcement text required');
+  } else {
+    const id = clip(msg.id, LIMITS.messageId);
+    const row = id ? await storage.getMessage(id) : null;
+    if (!row || row.deleted_at || row.room !== room) return fail('message not found');
+    if (existing.some(p => p.message_id === row.id)) return fail('already pinned');
+    pin.message_id = row.id;
+  }
+
+  await storage.addPin(pin);
+  const pinned = (await loadRoomPins(room)).find(p => p.id === pin.id);
+  console.log(`📌 [WS ${connectionId}] Pin ${pin.message_id || 'announcement'} in ${room} by ${user.name}`);
+  broadcast(room, { type: 'pinned', room, pin: pinned });
+  return { pin: pinned };
+}
+
+// Unpin by pin id or pinned message id
+async function handleUnpin(ws, msg, user, room, connectionId) {
+  if (!canPin(msg, user, room)) {
+    ws.send(JSON.stringify({ type: 'error', code: 'unauthorized', message: 'Cannot unpin: room owner or admin only' }));
+    return;
+  }
+  const id = clip(msg.id, LIMITS.messageId);
+  const removed = id ? await storage.removePin(room, id) : null;
+  if (!removed) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Cannot unpin: pin not found' }));
+    return;
+  }
+  console.log(`📍 [WS ${connectionId}] Unpin ${removed.id} in ${room} by ${user.name}`);
+  broadcast(room, { type: 'unpinned', room, id: removed.id, messageId: removed.message_id || undefined });
+  return { id: removed.id };
+}
+
+// Admin moderation over the socket: { type: 'mod', adminToken, action, ... }
+async function handleModeration(ws, msg, user, room, connectionId) {
+  if (!isAdminToken(msg.adminToken)) {
+    ws.send(JSON.stringify({ type: 'error', code: 'unauthorized', message: 'Admin token required' }));
+    return;
+  }
+  const actor = `ws:${user.name}`;
+  let outcome = null;
+  const reply = (result) => {
+    outcome = result;
+    ws.send(JSON.stringify({ type: 'modResult', action: msg.action, ...result }));
+  };
+
+  try {
+    switch (msg.action) {
+      case 'mute':
+      case 'ban': {
+        const sanction = await moderation.addSanction({
+          kind: msg.action,
+          user: msg.user ? sanitizeName(msg.user) : null,
+          ip: msg.ip || null,
+          room: msg.room ? sanitizeRoom(msg.room) : null,
+          durationMs: Number(msg.durationMs) || 0,
+          reason: msg.reason,
+          createdBy: actor
+        });
+        reply({ ok: true, sanction });
+        break;
+      }
+      case 'lift':
+        reply({ ok: await moderation.removeSanction(clip(msg.id, LIMITS.messageId), actor) });
+        break;
+      case 'slowMode': {
+        const target = msg.room ? sanitizeRoom(msg.room) : room;
+        const slowModeMs = await moderation.setSlowMode(target, msg.seconds, actor);
+        reply({ ok: true, room: target, slowModeSeconds: slowModeMs / 1000 });
+        break;
+      }
+      case 'list':
+        reply({ ok: true, sanctions: moderation.listSanctions(), rooms: moderation.listRoomSettings() });
+        break;
+      default:
+        reply({ ok: false, error: 'unknown action' });
+    }
+  } catch (e) {
+    reply({ ok: false, error: e.message });
+  }
+  console.log(`🛡️  [WS ${connectionId}] Moderation ${msg.action} by ${user.name}`);
+  return outcome?.ok ? { action: msg.action } : null;
+}
+
+// Bans, mutes, rate limit and (for new posts) slow mode. Sends the reason and
+// returns false when the message must be dropped.
+function checkCanPost(ws, user, room, clientIp, connectionId, { slowMode }) {
+  const block = moderation.getBlock({ name: user.name, ip: clientIp, room });
+  if (block) {
+    ws.send(JSON.stringify({ type: 'error', ...block, message: moderation.describeBlock(block) }));
+    if (block.code === 'banned') {
+      try { ws.close(4403, 'banned'); } catch (_) {}
+    }
+    return false;
+  }
+  if (!checkRateLimit(clientIp)) {
+    console.warn(`⏱️  [WS ${connectionId}] Rate limit exceeded - user: ${user.name}, IP: ${clientIp}`);
+    ws.send(JSON.stringify({ type: 'error', code: 'rate_limited', message: 'Rate limit exceeded' }));
+    return false;
+  }
+  if (slowMode) {
+    const waitMs = moderation.checkSlowMode(room, clientIp);
+    if (waitMs) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      ws.send(JSON.stringify({ type: 'error', code: 'slow_mode', message: `Slow mode: wait ${retryAfter}s`, retryAfter }));
+      return false;
+    }
+  }
+  return true;
+}
+
+// Message types that pass through checkCanPost; new room posts also obey slow mode
+const GATED_TYPES = {
+  chat: { slowMode: true },
+  share: { slowMode: true },
+  orderShare: { slowMode: true },
+  layoutShare: { slowMode: true },
+  poll: { slowMode: true },
+  vote: { slowMode: false },
+  dm: { slowMode: false },
+  edit: { slowMode: false },
+  delete: { slowMode: false },
+  react: { slowMode: false },
+  pin: { slowMode: false },
+  unpin: { slowMode: false }
+};
+
+// Message types that create a message; their retries can also be matched in storage
+const CREATE_TYPES = new Set(['chat', 'share', 'orderShare', 'layoutShare', 'poll']);
+
+// Stored message a user already sent with this clientId, as an ack (covers
+// retries older than the idempotency cache, e.g. across a restart)
+async function findStoredSend(user, type, clientId) {
+  const row = await storage.getMessageByClientId(user.name, clientId);
+  if (!row) return null;
+  const [withReactions] = await storage.attachReactions([row]);
+  return { for: type, id: row.id, message: mapMessageRow(withReactions) };
 }
 
 // Message type dispatcher
@@ -237,7 +857,20 @@ const messageHandlers = {
   chat: handleChatMessage,
   share: handleTradeShare,
   orderShare: handleOrderShare,
-  layoutShare: handleLayoutShare
+  layoutShare: handleLayoutShare,
+  poll: handlePoll,
+  vote: handleVote,
+  dm: handleDirectMessage,
+  edit: handleEditMessage,
+  delete: handleDeleteMessage,
+  react: handleReaction,
+  pin: handlePin,
+  unpin: handleUnpin,
+  mentionsRead: handleMentionsRead,
+  follow: handleFollow,
+  unfollow: handleFollow,
+  typing: handleTyping,
+  mod: handleModeration
 };
 
 // ============= MAIN EXPORTS =============
@@ -248,7 +881,7 @@ module.exports = function(app) {
     // Main chat WebSocket
     fastify.get('/ws', { websocket: true }, (connection, req) => {
       const connectionId = Math.random().toString(36).slice(2);
-      const clientIp = req.ip || 'unknown';
+      const clientIp = getClientIp(req);
       const startTime = Date.now();
       
       try {
@@ -259,17 +892,41 @@ module.exports = function(app) {
           return;
         }
         
-        let user = { name: 'Anon', color: '#aaa' };
-        const room = 'global';
+        let user = { name: 'Anon', color: '#aaa', guest: true };
+        let room = sanitizeRoom(req.query?.room);
 
-        console.log(`✅ [WS ${connectionId}] Connection - IP: ${clientIp}`);
+        console.log(`✅ [WS ${connectionId}] Connection - IP: ${clientIp}, room: ${room}`);
 
-        if (!rooms.has(room)) rooms.set(room, new Set());
-        rooms.get(room).add(ws);
-        
-        if (!activeConnections.has(room)) activeConnections.set(room, new Set());
-        activeConnections.get(room).add(connectionId);
-        broadcastPresence(room);
+        const ipBan = moderation.isBanned({ ip: clientIp, room });
+        if (ipBan) {
+          ws.send(JSON.stringify({ type: 'error', ...ipBan, message: moderation.describeBlock(ipBan) }));
+          try { ws.close(4403, 'banned'); } catch (_) {}
+          return;
+        }
+
+        joinRoom(room, ws, connectionId);
+
+        // Move this socket to another room (leave falls back to global)
+        const switchRoom = async (nextRoom, lastSeenId) => {
+          const previous = room;
+          const ban = moderation.isBanned({ name: user.name, ip: clientIp, room: nextRoom });
+          if (ban) {
+            ws.send(JSON.stringify({ type: 'error', ...ban, message: moderation.describeBlock(ban) }));
+            return;
+          }
+          if (nextRoom === previous) {
+            ws.send(JSON.stringify({ type: 'joined', room, previous, roster: getRoster(room) }));
+            return;
+          }
+          leaveRoom(previous, ws, connectionId);
+          lastTyping.delete(connectionId);
+          room = nextRoom;
+          joinRoom(room, ws, connectionId, user);
+          console.log(`🚪 [WS ${connectionId}] ${user.name}: ${previous} -> ${room}`);
+          const joined = { type: 'joined', room, previous, slowModeSeconds: moderation.getSlowMode(room) / 1000, roster: getRoster(room), pins: await loadRoomPins(room) };
+          if (lastSeenId) Object.assign(joined, await loadMissedMessages(room, lastSeenId));
+          ws.send(JSON.stringify(joined));
+        };
 
         ws.on('message', async (raw) => {
           try {
@@ -279,26 +936,74 @@ module.exports = function(app) {
 
             // Handle hello
             if (msg.type === 'hello') {
-              user = {
-                name: sanitizeName(msg?.user?.name),
-                color: String(msg?.user?.color || '#aaa').match(/^#[0-9A-Fa-f]{6}$/) ? msg.user.color : '#aaa'
+              unregisterUser(user.name, ws);
+              user = await resolveHelloUser(ws, msg, connectionId);
+              registerUser(user.name, ws);
+              const ban = moderation.isBanned({ name: user.name, ip: clientIp, room });
+              if (ban) {
+                ws.send(JSON.stringify({ type: 'error', ...ban, message: moderation.describeBlock(ban) }));
+                try { ws.close(4403, 'banned'); } catch (_) {}
+                return;
+              }
+              console.log(`👤 [WS ${connectionId}] Hello: ${user.name}${user.guest ? ' (guest)' : ''}`);
+              setMember(room, connectionId, user);
+              const welcome = {
+                type: 'welcome', room, user, slowModeSeconds: moderation.getSlowMode(room) / 1000, roster: getRoster(room),
+                pins: await loadRoomPins(room), following: follows.getFollowing(user.name).map(f => f.name)
               };
-              console.log(`👤 [WS ${connectionId}] Hello: ${user.name}`);
-              ws.send(JSON.stringify({ type: 'welcome', room, user }));
+              if (msg.lastSeenId) Object.assign(welcome, await loadMissedMessages(room, clip(msg.lastSeenId, LIMITS.messageId)));
+              ws.send(JSON.stringify(welcome));
               broadcastPresence(room);
               return;
             }
 
+            // Handle room switching
+            if (msg.type === 'join') {
+              await switchRoom(sanitizeRoom(msg.room), clip(msg.lastSeenId, LIMITS.messageId));
+              return;
+            }
+            if (msg.type === 'leave') {
+              await switchRoom(DEFAULT_ROOM);
+              return;
+            }
+
             // Dispatch to handler
             const handler = messageHandlers[msg.type];
-            if (handler) {
-              try {
-                await handler(ws, msg, user, room, connectionId, clientIp);
-              } catch (e) {
-                console.error(`❌ [WS ${connectionId}] ${msg.type} error:`, e.message);
-                ws.send(JSON.stringify({ type: 'error', message: `Failed to process ${msg.type}` }));
+            if (!handler) return;
+
+            // (user, clientId) is an idempotency key: a retry gets the original ack back
+            const clientId = clip(msg.clientId, LIMITS.clientId);
+            let settle = null;
+            if (clientId) {
+              const slot = idempotency.begin(user.name, clientId);
+              let prior = slot.prior ? await slot.prior : null;
+              if (!prior && slot.settle && CREATE_TYPES.has(msg.type)) {
+                prior = await findStoredSend(user, msg.type, clientId).catch(() => null);
+                if (prior) slot.settle(prior);
               }
+              if (prior) {
+                ws.send(JSON.stringify({ type: 'ack', clientId, ...prior, duplicate: true }));
+                return;
+              }
+              settle = slot.settle;
+            }
+
+            const gate = GATED_TYPES[msg.type];
+            if (gate && !checkCanPost(ws, user, room, clientIp, connectionId, gate)) {
+              if (settle) settle(null);
+              return;
+            }
+
+            let ack = null;
+            try {
+              const result = await handler(ws, msg, user, room, connectionId, clientIp);
+              if (result) ack = { for: msg.type, ...result };
+            } catch (e) {
+              console.error(`❌ [WS ${connectionId}] ${msg.type} error:`, e.message);
+              ws.send(JSON.stringify({ type: 'error', message: `Failed to process ${msg.type}` }));
             }
+            if (settle) settle(ack);
+            if (ack) ws.send(JSON.stringify({ type: 'ack', clientId, ...ack }));
           } catch (e) {
             console.error(`[WS ${connectionId}] Unexpected error:`, e.message);
           }
@@ -310,11 +1015,10 @@ module.exports = function(app) {
 
         ws.on('close', () => {
           const duration = Date.now() - startTime;
-          try { rooms.get(room)?.delete(ws); } catch (_) {}
-          try { activeConnections.get(room)?.delete(connectionId); } catch (_) {}
-          try { cleanupRateLimit(connectionId); } catch (_) {}
+          leaveRoom(room, ws, connectionId);
+          unregisterUser(user.name, ws);
+          lastTyping.delete(connectionId);
           console.log(`👋 [WS ${connectionId}] Closed - ${user.name}, ${duration}ms`);
-          broadcastPresence(room);
         });
       } catch (error) {
         console.error(`❌ [WS-ERROR] ${connectionId}:`, error.message);
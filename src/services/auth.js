@@ -0,0 +1,95 @@
+// Signed chat sessions and per-account name reservation
+
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { SESSION_SECRETS, SESSION_TTL_MS } = require('../config/constants');
+const storage = require('./storage');
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('base64url');
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+function isEnabled() {
+  return SESSION_SECRETS.length > 0;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Token format: base64url(JSON claims) + '.' + HMAC-SHA256 signature
+function issueToken(account) {
+  const now = Date.now();
+  const claims = { sub: account.id, name: account.name, iat: now, exp: now + SESSION_TTL_MS };
+  const body = b64url(JSON.stringify(claims));
+  return { token: `${body}.${sign(body, SESSION_SECRETS[0])}`, expiresAt: claims.exp };
+}
+
+// Returns the token claims, or null when the token is malformed, forged or expired
+function verifyToken(token) {
+  if (!isEnabled() || typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+  if (!SESSION_SECRETS.some(secret => safeEqual(sign(body, secret), signature))) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!claims?.sub || !claims?.name || !(claims.exp > Date.now())) return null;
+    return claims;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Issue a session for a name. The first caller reserves the name and receives
+ * an accountKey (shown once); later sessions for that name require the key.
+ */
+async function createSession(name, accountKey) {
+  let account = await storage.getAccountByName(name);
+  let issuedKey;
+
+  if (!account) {
+    issuedKey = crypto.randomBytes(24).toString('base64url');
+    account = { id: nanoid(), name, key_hash: hashKey(issuedKey) };
+    const created = await storage.createAccount(account);
+    // Lost a race for the same name - fall through to the key check
+    if (!created) {
+      account = await storage.getAccountByName(name);
+      issuedKey = undefined;
+    }
+  }
+
+  if (!issuedKey && (!accountKey || !safeEqual(hashKey(accountKey), account.key_hash))) {
+    return { error: 'name_reserved' };
+  }
+
+  const { token, expiresAt } = issueToken(account);
+  return { token, expiresAt, user: { id: account.id, name: account.name }, accountKey: issuedKey };
+}
+
+// Claims for the session token on a REST request (Bearer or x-session-token)
+function getRequestSession(request) {
+  const hdr = request.headers || {};
+  const bearer = typeof hdr['authorization'] === 'string' ? hdr['authorization'].replace(/^Bearer\s+/i, '') : '';
+  return verifyToken(hdr['x-session-token'] || bearer);
+}
+
+async function isNameReserved(name) {
+  try {
+    return !!(await storage.getAccountByName(name));
+  } catch (e) {
+    console.error('[Auth] Reservation lookup failed:', e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  verifyToken,
+  getRequestSession,
+  createSession,
+  isNameReserved
+};
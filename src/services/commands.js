@@ -0,0 +1,203 @@
+// Chat slash commands answered by the server from the market data hub.
+// Add one with register(name, { usage, description, scope, run }): run(args)
+// returns the reply text, or { text, scope } to override where it goes.
+// 'room' replies are broadcast to the whole room, 'self' only to the requester.
+
+const { getHub } = require('./hub/PublicDataHub');
+const { TICKER_EXCHANGES, baseCoin, exchangeSymbol, findTicker } = require('./symbols');
+
+const LIQ_WINDOW_MS = 60 * 60 * 1000; // /liqs summarizes the last hour of cached liquidations
+
+const commands = new Map(); // name -> { usage, description, scope, run }
+
+function register(name, { usage, description, scope = 'self', run }) {
+  commands.set(name, { name, usage: usage || `/${name}`, description, scope, run });
+}
+
+// ============= FORMATTING =============
+
+function fmtPrice(n) {
+  const digits = n >= 1000 ? 1 : n >= 1 ? 4 : 8;
+  return String(Number(n.toFixed(digits)));
+}
+
+function fmtUsd(n) {
+  const abs = Math.abs(n);
+  if (abs >= 1e9) return `$${(n / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `$${(n / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `$${(n / 1e3).toFixed(1)}k`;
+  return `$${n.toFixed(0)}`;
+}
+
+const fmtPct = (fraction, digits = 2) => `${fraction >= 0 ? '+' : ''}${(fraction * 100).toFixed(digits)}%`;
+
+function fmtDuration(ms) {
+  const mins = Math.max(0, Math.round(ms / 60000));
+  return mins >= 60 ? `${Math.floor(mins / 60)}h ${mins % 60}m` : `${mins}m`;
+}
+
+// Optional trailing exchange argument; returns { exchange } or { error }
+function parseExchange(arg, allowed) {
+  if (!arg) return { exchange: null };
+  const exchange = String(arg).toLowerCase();
+  if (!allowed.includes(exchange)) return { error: `Unknown exchange "${arg}". Try: ${allowed.join(', ')}` };
+  return { exchange };
+}
+
+// Position side a liquidation closed. Binance reports it directly; Bybit reports
+// the position side as Buy/Sell; other venues report the liquidation order side.
+function liquidatedSide(exchange, liq) {
+  const side = String(liq.side || liq.S || '').toLowerCase();
+  if (side === 'long' || side === 'short') return side;
+  if (exchange === 'bybit') return side === 'buy' ? 'long' : 'short';
+  return side === 'sell' ? 'long' : 'short';
+}
+
+// ============= COMMANDS =============
+
+register('price', {
+  usage: '/price <symbol> [exchange]',
+  description: 'Mark price and 24h change',
+  scope: 'room',
+  run([sym, ex]) {
+    if (!sym) return { text: 'Usage: /price <symbol> [exchange]', scope: 'self' };
+    const { exchange, error } = parseExchange(ex, TICKER_EXCHANGES);
+    if (error) return { text: error, scope: 'self' };
+
+    const found = findTicker(getHub(), sym, exchange);
+    if (!found) return { text: `No live price for ${baseCoin(sym)}${exchange ? ` on ${exchange}` : ''}`, scope: 'self' };
+    const change = Number(found.ticker.price24hPcnt);
+    const changeText = Number.isFinite(change) && change !== 0 ? ` (24h ${fmtPct(change)})` : '';
+    return `${found.symbol} ${fmtPrice(found.price)} on ${found.exchange}${changeText}`;
+  }
+});
+
+register('funding', {
+  usage: '/funding <symbol> [exchange]',
+  description: 'Current funding rate per exchange',
+  scope: 'room',
+  run([sym, ex]) {
+    if (!sym) return { text: 'Usage: /funding <symbol> [exchange]', scope: 'self' };
+    const { exchange, error } = parseExchange(ex, TICKER_EXCHANGES);
+    if (error) return { text: error, scope: 'self' };
+
+    const hub = getHub();
+    const parts = [];
+    let nextFunding = null;
+    for (const venue of exchange ? [exchange] : TICKER_EXCHANGES) {
+      const symbol = exchangeSymbol(venue, sym);
+      const funding = hub.getFunding(venue).find(f => f._symbol === symbol);
+      if (!funding || !Number.isFinite(Number(funding.fundingRate))) continue;
+      // Hyperliquid funds hourly; the others every 8h
+      parts.push(`${venue} ${fmtPct(Number(funding.fundingRate), 4)}${venue === 'hyperliquid' ? '/h' : ''}`);
+      const next = Number(funding.nextFundingTime);
+      if (!nextFunding && next > Date.now()) nextFunding = next;
+    }
+    if (!parts.length) return { text: `No funding data for ${baseCoin(sym)}${exchange ? ` on ${exchange}` : ''}`, scope: 'self' };
+    const nextText = nextFunding ? ` · next in ${fmtDuration(nextFunding - Date.now())}` : '';
+    return `${baseCoin(sym)} funding: ${parts.join(', ')}${nextText}`;
+  }
+});
+
+register('oi', {
+  usage: '/oi <symbol> [exchange]',
+  description: 'Open interest per exchange',
+  scope: 'room',
+  run([sym, ex]) {
+    if (!sym) return { text: 'Usage: /oi <symbol> [exchange]', scope: 'self' };
+    const { exchange, error } = parseExchange(ex, TICKER_EXCHANGES);
+    if (error) return { text: error, scope: 'self' };
+
+    const hub = getHub();
+    const base = baseCoin(sym);
+    const parts = [];
+    let total = 0;
+    for (const venue of exchange ? [exchange] : TICKER_EXCHANGES) {
+      const oi = hub.getOpenInterest(venue, exchangeSymbol(venue, sym));
+      const contracts = Number(oi?.openInterest);
+      if (!contracts) continue;
+      // Venues report base-coin size; value it at the live price when no USD value is given
+      const price = findTicker(hub, sym, venue)?.price;
+      const usd = Number(oi.openInterestValue) || (price ? contracts * price : 0);
+      if (usd) total += usd;
+      parts.push(`${venue} ${usd ? fmtUsd(usd) : `${contracts.toLocaleString('en-US')} ${base}`}`);
+    }
+    if (!parts.length) return { text: `No open interest data for ${base}${exchange ? ` on ${exchange}` : ''}`, scope: 'self' };
+    const totalText = parts.length > 1 && total ? ` · total ${fmtUsd(total)}` : '';
+    return `${base} open interest: ${parts.join(', ')}${totalText}`;
+  }
+});
+
+register('liqs', {
+  usage: '/liqs [symbol]',
+  description: 'Liquidations in the last hour',
+  scope: 'room',
+  run([sym]) {
+    const hub = getHub();
+    const since = Date.now() - LIQ_WINDOW_MS;
+    let count = 0;
+    const totals = { long: 0, short: 0 };
+    let largest = null;
+
+    for (const venue of Object.keys(hub.adapters)) {
+      const liqs = hub.getLiquidations(venue, sym ? exchangeSymbol(venue, sym) : 'ALL');
+      for (const liq of liqs) {
+        const ts = Number(liq.timestamp || liq.T);
+        if (ts && ts < since) continue;
+        const usd = Number(liq.value) || Number(liq.price) * Number(liq.size) || 0;
+        if (!usd) continue;
+        const side = liquidatedSide(venue, liq);
+        count++;
+        totals[side] += usd;
+        if (!largest || usd > largest.usd) largest = { usd, side, venue, symbol: liq.symbol || liq.s };
+      }
+    }
+
+    const scopeText = sym ? `${baseCoin(sym)} liquidations` : 'Liquidations';
+    if (!count) return `${scopeText} (1h): none seen`;
+    const largestText = ` · largest ${largest.symbol ? `${largest.symbol} ` : ''}${largest.side} ${fmtUsd(largest.usd)} on ${largest.venue}`;
+    return `${scopeText} (1h): ${count} for ${fmtUsd(totals.long + totals.short)} · longs ${fmtUsd(totals.long)} / shorts ${fmtUsd(totals.short)}${largestText}`;
+  }
+});
+
+register('help', {
+  usage: '/help',
+  description: 'List commands',
+  scope: 'self',
+  run() {
+    return Array.from(commands.values()).map(c => `${c.usage} - ${c.description}`).join(' | ');
+  }
+});
+
+// ============= DISPATCH =============
+
+function isCommand(text) {
+  return typeof text === 'string' && /^\/[a-z]/i.test(text);
+}
+
+/**
+ * Run a slash command line. Returns { name, scope, text }; unknown commands and
+ * usage errors are answered to the requester only.
+ */
+function execute(text) {
+  const [head, ...args] = String(text).trim().split(/\s+/);
+  const name = head.slice(1).toLowerCase();
+  const command = commands.get(name);
+  if (!command) return { name, scope: 'self', text: `Unknown command /${name}. Try /help` };
+
+  let result;
+  try {
+    result = command.run(args);
+  } catch (e) {
+    console.error(`[Commands] /${name} failed:`, e.message);
+    return { name, scope: 'self', text: `/${name} failed, try again shortly` };
+  }
+  if (typeof result === 'string') return { name, scope: command.scope, text: result };
+  return { name, scope: result.scope || command.scope, text: result.text };
+}
+
+module.exports = {
+  register,
+  isCommand,
+  execute
+};
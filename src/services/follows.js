@@ -0,0 +1,105 @@
+// Copy-trade follows: users follow traders and receive their trade and order
+// shares as `followed` events on every socket, whatever room they are in.
+
+const storage = require('./storage');
+const { sendToUser } = require('./rooms');
+const { nameKey } = require('../middleware/validation');
+
+const MAX_FOLLOWING = 200;
+
+// trader key -> Map(follower key -> { name, since }); storage is the source of truth
+const followersOf = new Map();
+// follower key -> Map(trader key -> { name, since })
+const followingOf = new Map();
+
+function link(index, from, to, entry) {
+  if (!index.has(from)) index.set(from, new Map());
+  index.get(from).set(to, entry);
+}
+
+function unlink(index, from, to) {
+  const map = index.get(from);
+  if (!map) return;
+  map.delete(to);
+  if (!map.size) index.delete(from);
+}
+
+function remember(follower, trader, since) {
+  link(followersOf, nameKey(trader), nameKey(follower), { name: follower, since });
+  link(followingOf, nameKey(follower), nameKey(trader), { name: trader, since });
+}
+
+async function init() {
+  try {
+    const rows = await storage.loadFollows();
+    for (const r of rows) remember(r.follower, r.trader, Number(r.ts) || null);
+    if (rows.length) console.log(`[Follows] Loaded ${rows.length} follows`);
+  } catch (e) {
+    console.error('[Follows] Failed to load:', e.message);
+  }
+}
+
+function isFollowing(follower, trader) {
+  return !!followingOf.get(nameKey(follower))?.has(nameKey(trader));
+}
+
+// Returns { following, followers } or { error }
+async function follow(follower, trader) {
+  if (nameKey(follower) === nameKey(trader)) return { error: 'You cannot follow yourself' };
+  if (!isFollowing(follower, trader)) {
+    if ((followingOf.get(nameKey(follower))?.size || 0) >= MAX_FOLLOWING) {
+      return { error: `You can follow at most ${MAX_FOLLOWING} traders` };
+    }
+    await storage.addFollow(follower, trader);
+    remember(follower, trader, Date.now());
+  }
+  return { following: true, followers: countFollowers(trader) };
+}
+
+async function unfollow(follower, trader) {
+  if (isFollowing(follower, trader)) {
+    await storage.removeFollow(follower, trader);
+    unlink(followersOf, nameKey(trader), nameKey(follower));
+    unlink(followingOf, nameKey(follower), nameKey(trader));
+  }
+  return { following: false, followers: countFollowers(trader) };
+}
+
+const toList = (map) => Array.from(map?.values() || []).sort((a, b) => (b.since || 0) - (a.since || 0));
+
+function getFollowers(name) {
+  return toList(followersOf.get(nameKey(name)));
+}
+
+function getFollowing(name) {
+  return toList(followingOf.get(nameKey(name)));
+}
+
+function countFollowers(name) {
+  return followersOf.get(nameKey(name))?.size || 0;
+}
+
+function countFollowing(name) {
+  return followingOf.get(nameKey(name))?.size || 0;
+}
+
+// Push a trader's share to every online follower; returns followers reached
+function deliver(trader, message) {
+  let reached = 0;
+  for (const { name } of followersOf.get(nameKey(trader))?.values() || []) {
+    if (sendToUser(name, { type: 'followed', trader, message })) reached++;
+  }
+  return reached;
+}
+
+module.exports = {
+  init,
+  isFollowing,
+  follow,
+  unfollow,
+  getFollowers,
+  getFollowing,
+  countFollowers,
+  countFollowing,
+  deliver
+};
@@ -410,6 +410,10 @@ class PublicDataHub {
     return this.cache.getAllInstruments(exchange);
   }
 
+  getInstrument(exchange, symbol) {
+    return this.cache.getInstrument(exchange, symbol);
+  }
+
   // Get funding rates
   getFunding(exchange) {
     return this.cache.getAllFunding(exchange);
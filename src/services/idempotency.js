@@ -0,0 +1,45 @@
+// Idempotent chat sends: (user, clientId) -> ack of the first successful send,
+// so a client retrying after a flaky reconnect gets the original result back
+
+const { nameKey } = require('../middleware/validation');
+
+const TTL = 10 * 60 * 1000; // 10 minutes; older retries fall back to storage lookups
+
+const entries = new Map(); // `${user}|${clientId}` -> { ts, ack, pending }
+
+const keyOf = (name, clientId) => `${nameKey(name)}|${clientId}`;
+
+/**
+ * Start a send under (user, clientId). Synchronous so two copies arriving back to
+ * back can't both claim the key. Returns { prior } (an ack, or a promise of one
+ * while the first copy is in flight) for repeats, otherwise { settle }: call it
+ * with the send's ack, or null if it failed so a retry may run again.
+ */
+function begin(name, clientId) {
+  const key = keyOf(name, clientId);
+  const existing = entries.get(key);
+  if (existing) return { prior: existing.pending || existing.ack };
+
+  let resolve;
+  const entry = { ts: Date.now(), ack: null, pending: new Promise(r => { resolve = r; }) };
+  entries.set(key, entry);
+  const settle = (ack) => {
+    entry.pending = null;
+    if (ack) entry.ack = ack;
+    else if (entries.get(key) === entry) entries.delete(key);
+    resolve(ack || null);
+  };
+  return { settle };
+}
+
+// Drop expired keys (every 60s)
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (!entry.pending && now - entry.ts > TTL) entries.delete(key);
+  }
+}, 60000);
+
+module.exports = {
+  begin
+};
@@ -0,0 +1,141 @@
+// Saved workspace layouts: a validated window schema, per-owner library with
+// version history, public/private visibility and forks.
+
+const { nanoid } = require('nanoid');
+const storage = require('./storage');
+const { sanitizeInput, nameKey } = require('../middleware/validation');
+
+const LIMITS = {
+  name: 30,         // same as chat layout shares
+  windows: 24,      // windows per layout
+  bytes: 16 * 1024, // serialized windows
+  settingsDepth: 4,
+  perOwner: 100
+};
+
+const text = (max, pattern) => (v) => typeof v === 'string' && v.length <= max && (!pattern || pattern.test(v))
+  ? null : `must be a string of up to ${max} characters${pattern ? ` matching ${pattern}` : ''}`;
+const coord = (v) => Number.isFinite(v) && v >= 0 && v <= 10000 ? null : 'must be a number between 0 and 10000';
+
+function plainJson(value, depth = 0) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return typeof value === 'number' && !Number.isFinite(value) ? 'must be finite' : null;
+  }
+  if (depth >= LIMITS.settingsDepth) return `must nest at most ${LIMITS.settingsDepth} levels`;
+  if (typeof value !== 'object') return 'must be JSON';
+  for (const v of Array.isArray(value) ? value : Object.values(value)) {
+    const err = plainJson(v, depth + 1);
+    if (err) return err;
+  }
+  return null;
+}
+
+// Window fields and their checks; anything else is rejected. type is required.
+const WINDOW_SCHEMA = {
+  id: text(40),
+  type: text(30, /^[\w.-]+$/),
+  title: text(60),
+  symbol: text(20, /^[\w./:-]+$/),
+  exchange: text(20, /^[\w-]+$/),
+  timeframe: text(10, /^\w+$/),
+  x: coord,
+  y: coord,
+  w: coord,
+  h: coord,
+  settings: (v) => v && typeof v === 'object' && !Array.isArray(v) ? plainJson(v) : 'must be an object'
+};
+
+/**
+ * Check a windows array against WINDOW_SCHEMA and the size limits.
+ * Returns { windows } or { error } naming the first bad field.
+ */
+function validateWindows(windows) {
+  if (!Array.isArray(windows)) return { error: 'windows must be an array' };
+  if (windows.length > LIMITS.windows) return { error: `at most ${LIMITS.windows} windows` };
+  for (const [i, win] of windows.entries()) {
+    if (!win || typeof win !== 'object' || Array.isArray(win)) return { error: `windows[${i}] must be an object` };
+    if (win.type === undefined) return { error: `windows[${i}].type is required` };
+    for (const [key, value] of Object.entries(win)) {
+      const check = WINDOW_SCHEMA[key];
+      if (!check) return { error: `windows[${i}].${key} is not a known field` };
+      const err = check(value);
+      if (err) return { error: `windows[${i}].${key} ${err}` };
+    }
+  }
+  if (Buffer.byteLength(JSON.stringify(windows)) > LIMITS.bytes) return { error: `windows exceed ${LIMITS.bytes} bytes` };
+  return { windows };
+}
+
+function cleanName(name) {
+  return sanitizeInput(typeof name === 'string' ? name : '').slice(0, LIMITS.name);
+}
+
+const isOwner = (row, name) => !!name && nameKey(row.owner) === nameKey(name);
+
+// Layout if the viewer may see it (public, or their own), else null
+async function getVisible(id, viewer, version = null) {
+  const row = await storage.getLayout(id, version);
+  if (!row || !(row.is_public || isOwner(row, viewer))) return null;
+  return row;
+}
+
+/**
+ * Save a new layout for owner, or fork forkOf (a layout the owner can see).
+ * Forks default to the source's name and windows. Returns { layout } or { error, status }.
+ */
+async function create(owner, { name, windows, public: isPublic, forkOf }) {
+  let source = null;
+  if (forkOf) {
+    source = await getVisible(String(forkOf).slice(0, 40), owner);
+    if (!source) return { error: 'layout to fork not found', status: 404 };
+  }
+
+  const layoutName = cleanName(name) || source?.name;
+  if (!layoutName) return { error: 'name required', status: 400 };
+  const checked = validateWindows(windows ?? source?.windows);
+  if (checked.error) return { error: checked.error, status: 400 };
+
+  if (await storage.countLayouts(owner) >= LIMITS.perOwner) {
+    return { error: `layout limit of ${LIMITS.perOwner} reached`, status: 409 };
+  }
+  const layout = await storage.createLayout({
+    id: nanoid(),
+    owner,
+    name: layoutName,
+    windows: checked.windows,
+    is_public: !!isPublic,
+    forked_from: source?.id
+  });
+  return { layout };
+}
+
+// Owner-only update; new windows become the next version
+async function update(id, owner, { name, windows, public: isPublic }) {
+  const row = await storage.getLayout(id);
+  if (!row || !(row.is_public || isOwner(row, owner))) return { error: 'layout not found', status: 404 };
+  if (!isOwner(row, owner)) return { error: 'not the owner', status: 403 };
+
+  const fields = {};
+  if (name !== undefined) {
+    fields.name = cleanName(name);
+    if (!fields.name) return { error: 'name required', status: 400 };
+  }
+  if (windows !== undefined) {
+    const checked = validateWindows(windows);
+    if (checked.error) return { error: checked.error, status: 400 };
+    fields.windows = checked.windows;
+  }
+  if (isPublic !== undefined) fields.is_public = !!isPublic;
+  if (!Object.keys(fields).length) return { error: 'nothing to update', status: 400 };
+
+  return { layout: await storage.updateLayout(id, fields) };
+}
+
+module.exports = {
+  LIMITS,
+  WINDOW_SCHEMA,
+  validateWindows,
+  getVisible,
+  create,
+  update
+};
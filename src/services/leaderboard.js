@@ -0,0 +1,113 @@
+// Trader leaderboard derived from trade-share outcomes
+
+const storage = require('./storage');
+const { baseCoin, parseAmount, round2 } = require('./symbols');
+const { nameKey } = require('../middleware/validation');
+const shareOutcomes = require('./shareOutcomes');
+
+const WINDOWS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+const CACHE_TTL = 30000; // 30 seconds
+
+const cache = new Map(); // window -> { ts, rows }
+
+// R frozen when the call closed; calls closed before trade_r existed fall back to their levels
+function rMultiple(row) {
+  if (row.trade_r !== null && row.trade_r !== undefined) return Number(row.trade_r);
+  return shareOutcomes.rMultiple(
+    parseAmount(row.trade_entry), parseAmount(row.trade_stop_loss), parseAmount(row.trade_exit_price), row.trade_side !== 'Short'
+  );
+}
+
+function emptyStats() {
+  return { calls: 0, wins: 0, losses: 0, rSum: 0, rCount: 0 };
+}
+
+function addCall(stats, row) {
+  stats.calls++;
+  if (row.trade_status === 'tp_hit') stats.wins++;
+  if (row.trade_status === 'sl_hit') stats.losses++;
+  if (row.trade_status === 'tp_hit' || row.trade_status === 'sl_hit') {
+    const r = rMultiple(row);
+    if (r !== null) {
+      stats.rSum += r;
+      stats.rCount++;
+    }
+  }
+}
+
+function summarize(stats) {
+  const closed = stats.wins + stats.losses;
+  return {
+    calls: stats.calls,
+    open: stats.calls - closed,
+    wins: stats.wins,
+    losses: stats.losses,
+    winRate: closed ? round2(stats.wins / closed * 100) : null,
+    avgR: stats.rCount ? round2(stats.rSum / stats.rCount) : null
+  };
+}
+
+const SORTS = {
+  winRate: (a, b) => (b.winRate ?? -1) - (a.winRate ?? -1),
+  avgR: (a, b) => (b.avgR ?? -Infinity) - (a.avgR ?? -Infinity),
+  calls: (a, b) => b.calls - a.calls
+};
+
+// Rank users by the chosen metric, falling back to the others for ties.
+// Calls are grouped per account, whatever case the name was typed in.
+function buildLeaderboard(rows, minCalls, sort) {
+  const byUser = new Map();
+  for (const row of rows) {
+    const key = nameKey(row.user_name);
+    if (!byUser.has(key)) byUser.set(key, { name: row.account_name || row.user_name, total: emptyStats(), symbols: new Map() });
+    const entry = byUser.get(key);
+    const sym = baseCoin(row.trade_sym) || 'UNKNOWN';
+    if (!entry.symbols.has(sym)) entry.symbols.set(sym, emptyStats());
+    addCall(entry.total, row);
+    addCall(entry.symbols.get(sym), row);
+  }
+
+  const ranked = [];
+  for (const entry of byUser.values()) {
+    const stats = summarize(entry.total);
+    // Threshold counts resolved calls so open ones can't pad a lucky record
+    if (stats.wins + stats.losses < minCalls) continue;
+    const symbols = Array.from(entry.symbols, ([sym, s]) => ({ sym, ...summarize(s) }))
+      .sort((a, b) => b.calls - a.calls);
+    ranked.push({ user: entry.name, ...stats, symbols });
+  }
+
+  const order = [sort, ...Object.keys(SORTS).filter(k => k !== sort)].map(k => SORTS[k]);
+  ranked.sort((a, b) => {
+    for (const cmp of order) {
+      const d = cmp(a, b);
+      if (d) return d;
+    }
+    return 0;
+  });
+  return ranked.map((r, i) => ({ rank: i + 1, ...r }));
+}
+
+async function getLeaderboard({ window = '7d', minCalls = 3, sort = 'winRate', limit = 50 } = {}) {
+  const span = WINDOWS[window];
+  if (!span) throw new Error(`Unknown window: ${window}`);
+  if (!SORTS[sort]) throw new Error(`Unknown sort: ${sort}`);
+
+  let cached = cache.get(window);
+  if (!cached || Date.now() - cached.ts > CACHE_TTL) {
+    cached = { ts: Date.now(), rows: await storage.getTradeSharesSince(Date.now() - span) };
+    cache.set(window, cached);
+  }
+  return buildLeaderboard(cached.rows, minCalls, sort).slice(0, limit);
+}
+
+module.exports = {
+  WINDOWS,
+  SORTS,
+  rMultiple,
+  getLeaderboard
+};
@@ -0,0 +1,43 @@
+// Chat export formats. Lines are built from mapMessageRow output so exported
+// fields match the live API; CSV columns are its dot paths.
+
+const CSV_COLUMNS = [
+  'id', 'room', 'ts', 'user.name', 'user.color', 'text', 'replyTo', 'threadId', 'clientId', 'editedAt', 'deleted', 'deletedAt',
+  'tradeShare', 'share.sym', 'share.side', 'share.lev', 'share.entry', 'share.takeProfit', 'share.stopLoss', 'share.exchange', 'share.markPrice',
+  'share.outcome.status', 'share.outcome.mfe', 'share.outcome.mae', 'share.outcome.exitPrice', 'share.outcome.closedAt', 'share.outcome.r',
+  'orderShare', 'order.sym', 'order.side', 'order.lev', 'order.price', 'order.qty', 'order.orderType', 'order.takeProfit', 'order.stopLoss', 'order.exchange', 'order.markPrice', 'order.copy',
+  'layoutShare', 'layout.layoutName', 'layout.windowCount', 'layout.windows', 'layout.layoutId', 'layout.version',
+  'pollShare', 'poll.question', 'poll.options', 'poll.totalVotes', 'poll.closesAt',
+  'reactions'
+];
+
+const FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const pick = (obj, path) => path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+
+// Quote when needed; cells a spreadsheet would evaluate as formulas get a leading quote
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(s) && typeof value === 'string') s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function header(format) {
+  return format === 'csv' ? `${CSV_COLUMNS.join(',')}\n` : '';
+}
+
+function line(format, message) {
+  if (format === 'csv') return `${CSV_COLUMNS.map(col => csvCell(pick(message, col))).join(',')}\n`;
+  return `${JSON.stringify(message)}\n`;
+}
+
+module.exports = {
+  FORMATS,
+  CSV_COLUMNS,
+  header,
+  line
+};
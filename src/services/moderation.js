@@ -0,0 +1,189 @@
+// Chat moderation: per-room slow mode plus admin-issued mutes and bans
+// (by user name and/or IP, optionally scoped to one room, with expiry)
+
+const { nanoid } = require('nanoid');
+const storage = require('./storage');
+const { broadcast, sendToUser, closeUserSockets } = require('./rooms');
+const { nameKey } = require('../middleware/validation');
+
+const KINDS = new Set(['mute', 'ban']);
+
+let sanctions = [];          // active sanctions (cached; storage is the source of truth)
+let roomSettings = {};       // room -> { slowModeMs, owners }
+const lastPost = new Map();  // `${room}|${key}` -> ts of last accepted post
+
+async function init() {
+  try {
+    ({ sanctions, rooms: roomSettings } = await storage.loadModeration());
+    if (sanctions.length) console.log(`[Moderation] Loaded ${sanctions.length} active sanctions`);
+  } catch (e) {
+    console.error('[Moderation] Failed to load:', e.message);
+  }
+}
+
+function isActive(s, now = Date.now()) {
+  return !s.expires_at || s.expires_at > now;
+}
+
+function publicSanction(s) {
+  return {
+    id: s.id, kind: s.kind, user: s.user_key, ip: s.ip, room: s.room,
+    reason: s.reason, createdBy: s.created_by, expiresAt: s.expires_at, createdAt: s.created_at
+  };
+}
+
+/**
+ * Find the sanction blocking a user, if any. Bans win over mutes.
+ * Returns { code: 'banned' | 'muted', reason, until } or null.
+ */
+function getBlock({ name, ip, room }, kinds = KINDS) {
+  const key = nameKey(name);
+  const now = Date.now();
+  let found = null;
+  for (const s of sanctions) {
+    if (!kinds.has(s.kind) || !isActive(s, now)) continue;
+    if (s.room && room && s.room !== room) continue;
+    const matches = (s.user_key && s.user_key === key) || (s.ip && s.ip === ip);
+    if (!matches) continue;
+    if (!found || (s.kind === 'ban' && found.kind !== 'ban')) found = s;
+  }
+  if (!found) return null;
+  return { code: found.kind === 'ban' ? 'banned' : 'muted', reason: found.reason || null, until: found.expires_at || null };
+}
+
+function isBanned({ name, ip, room }) {
+  return getBlock({ name, ip, room }, new Set(['ban']));
+}
+
+function getSlowMode(room) {
+  return roomSettings[room]?.slowModeMs || 0;
+}
+
+// Milliseconds left before this key may post again in the room (0 = allowed, and recorded)
+function checkSlowMode(room, key) {
+  const interval = getSlowMode(room);
+  if (!interval) return 0;
+  const k = `${room}|${key}`;
+  const now = Date.now();
+  const last = lastPost.get(k) || 0;
+  if (now - last < interval) return interval - (now - last);
+  lastPost.set(k, now);
+  return 0;
+}
+
+function audit(action, actor, scope) {
+  storage.recordAudit({ action, actor, scope, affected: 1 })
+    .catch(e => console.error('[Moderation] Audit failed:', e.message));
+}
+
+async function setSlowMode(room, seconds, actor = 'admin') {
+  const slowModeMs = Math.max(0, Math.min(Number(seconds) || 0, 3600)) * 1000;
+  roomSettings[room] = { ...roomSettings[room], slowModeMs };
+  await storage.saveRoomSettings(room, { slowModeMs });
+  broadcast(room, { type: 'roomSettings', room, slowModeSeconds: slowModeMs / 1000 });
+  audit('moderation.slowMode', actor, { room, slowModeSeconds: slowModeMs / 1000 });
+  return slowModeMs;
+}
+
+// Room owners are account names allowed to pin messages and post announcements
+function getRoomOwners(room) {
+  return roomSettings[room]?.owners || [];
+}
+
+function isRoomOwner(room, name) {
+  const key = nameKey(name);
+  return !!key && getRoomOwners(room).some(o => nameKey(o) === key);
+}
+
+async function setRoomOwners(room, names, actor = 'admin') {
+  const byKey = new Map();
+  for (const name of names || []) {
+    const clean = String(name || '').trim().slice(0, 50);
+    if (clean && !byKey.has(nameKey(clean))) byKey.set(nameKey(clean), clean);
+  }
+  const owners = [...byKey.values()];
+  roomSettings[room] = { ...roomSettings[room], owners };
+  await storage.saveRoomSettings(room, { owners });
+  audit('moderation.owners', actor, { room, owners });
+  return owners;
+}
+
+// Record a sanction; banned users are disconnected, muted users are told why
+async function addSanction({ kind, user, ip, room, durationMs, reason, createdBy }) {
+  if (!KINDS.has(kind)) throw new Error('kind must be mute or ban');
+  if (!user && !ip) throw new Error('user or ip required');
+  const now = Date.now();
+  const sanction = {
+    id: nanoid(),
+    kind,
+    user_key: user ? nameKey(user) : null,
+    ip: ip ? String(ip).slice(0, 64) : null,
+    room: room || null,
+    reason: reason ? String(reason).slice(0, 200) : null,
+    created_by: createdBy || 'admin',
+    expires_at: Number(durationMs) > 0 ? now + Number(durationMs) : null,
+    created_at: now
+  };
+  await storage.saveSanction(sanction);
+  sanctions.push(sanction);
+
+  if (user) {
+    const block = { code: kind === 'ban' ? 'banned' : 'muted', reason: sanction.reason, until: sanction.expires_at };
+    sendToUser(user, { type: 'error', ...block, room: sanction.room, message: describeBlock(block) });
+    if (kind === 'ban' && !room) closeUserSockets(user, 4403, 'banned');
+  }
+  audit(`moderation.${kind}`, sanction.created_by, publicSanction(sanction));
+  return publicSanction(sanction);
+}
+
+async function removeSanction(id, actor = 'admin') {
+  const removed = await storage.removeSanction(id);
+  sanctions = sanctions.filter(s => s.id !== id);
+  if (removed) audit('moderation.lift', actor, { id });
+  return removed;
+}
+
+// Human-readable reason for an error payload
+function describeBlock(block) {
+  if (!block) return '';
+  const what = block.code === 'banned' ? 'You are banned' : 'You are muted';
+  const until = block.until ? ` until ${new Date(block.until).toISOString()}` : '';
+  return `${what}${until}${block.reason ? `: ${block.reason}` : ''}`;
+}
+
+function listSanctions() {
+  const now = Date.now();
+  return sanctions.filter(s => isActive(s, now)).map(publicSanction);
+}
+
+function listRoomSettings() {
+  return Object.entries(roomSettings)
+    .filter(([, s]) => s.slowModeMs || s.owners?.length)
+    .map(([room, s]) => ({ room, slowModeSeconds: (s.slowModeMs || 0) / 1000, owners: s.owners || [] }));
+}
+
+// Drop expired sanctions and stale slow-mode stamps (every 60s)
+setInterval(() => {
+  const now = Date.now();
+  sanctions = sanctions.filter(s => isActive(s, now));
+  for (const [k, ts] of lastPost) {
+    if (now - ts > 3600000) lastPost.delete(k);
+  }
+}, 60000);
+
+module.exports = {
+  init,
+  getBlock,
+  isBanned,
+  describeBlock,
+  getSlowMode,
+  checkSlowMode,
+  setSlowMode,
+  getRoomOwners,
+  isRoomOwner,
+  setRoomOwners,
+  addSanction,
+  removeSanction,
+  listSanctions,
+  listRoomSettings
+};
@@ -0,0 +1,120 @@
+// Exchange order rules for shared orders: round price to the venue's tick and
+// qty to its lot, enforce size and leverage limits, and build a copy-ready order.
+
+const { parseAmount } = require('./symbols');
+
+// Hyperliquid prices: at most 5 significant figures and (6 - szDecimals) decimals
+const HL_SIG_FIGS = 5;
+const HL_MAX_DECIMALS = 6;
+
+function decimalsOf(step) {
+  const [, frac = ''] = Number(step).toFixed(12).replace(/0+$/, '').split('.');
+  return frac.length;
+}
+
+// Round to a multiple of step; 'floor' never rounds sizes up past what was shared
+function roundToStep(value, step, mode = 'nearest') {
+  const units = value / step;
+  const k = mode === 'floor' ? Math.floor(units + 1e-9) : Math.round(units);
+  return Number((k * step).toFixed(decimalsOf(step)));
+}
+
+// Venue rules from a cached instrument; missing limits are null
+function instrumentRules(exchange, inst) {
+  const num = (v) => (Number(v) > 0 ? Number(v) : null);
+  if (exchange === 'hyperliquid') {
+    const szDecimals = Number(inst.szDecimals) || 0;
+    return {
+      tickSize: null,
+      priceDecimals: Math.max(0, HL_MAX_DECIMALS - szDecimals),
+      lotSize: 10 ** -szDecimals,
+      minQty: null,
+      maxQty: null,
+      maxLeverage: num(inst.maxLeverage)
+    };
+  }
+  if (exchange === 'blofin') {
+    // Blofin sizes are in contracts of contractValue base units; shared qty is in base units
+    const contract = num(inst.contractValue) || 1;
+    const base = (v) => (num(v) ? Number((num(v) * contract).toPrecision(12)) : null);
+    return {
+      tickSize: num(inst.tickSize),
+      lotSize: base(inst.lotSize),
+      minQty: base(inst.minSize),
+      maxQty: base(inst.maxSize),
+      maxLeverage: num(inst.maxLeverage)
+    };
+  }
+  return {
+    tickSize: num(inst.tickSize),
+    lotSize: num(inst.lotSize),
+    minQty: num(inst.minOrderQty ?? inst.minSize),
+    maxQty: num(inst.maxOrderQty ?? inst.maxSize),
+    maxLeverage: num(inst.maxLeverage)
+  };
+}
+
+function roundPrice(price, rules) {
+  if (rules.tickSize) return roundToStep(price, rules.tickSize);
+  if (rules.priceDecimals === undefined) return price;
+  const sig = Number(price.toPrecision(HL_SIG_FIGS));
+  // Integer prices are always valid regardless of significant figures
+  return price >= 10 ** HL_SIG_FIGS ? Math.round(price) : Number(sig.toFixed(rules.priceDecimals));
+}
+
+/**
+ * Normalize a shared order to the instrument's rules. Fields are the shared
+ * strings ({ side, orderType, price, qty, lev, takeProfit, stopLoss }).
+ * Returns { order } (copy-ready, numbers) or { error }.
+ */
+function normalizeOrder(exchange, symbol, inst, fields) {
+  const rules = instrumentRules(exchange, inst);
+  const orderType = /market/i.test(fields.orderType || '') ? 'Market' : 'Limit';
+  const order = {
+    exchange,
+    symbol,
+    side: fields.side === 'Long' ? 'Buy' : 'Sell',
+    orderType
+  };
+
+  const price = parseAmount(fields.price);
+  if (orderType === 'Limit' && !price) return { error: 'limit orders need a price' };
+  if (price) {
+    order.price = roundPrice(price, rules);
+    if (!(order.price > 0)) return { error: `price is below the ${exchange} tick size` };
+  }
+
+  const qty = parseAmount(fields.qty);
+  if (fields.qty && !qty) return { error: 'qty must be a positive number' };
+  if (qty) {
+    order.qty = rules.lotSize ? roundToStep(qty, rules.lotSize, 'floor') : qty;
+    if (!(order.qty > 0) || (rules.minQty && order.qty < rules.minQty)) {
+      return { error: `qty is below the ${exchange} minimum of ${rules.minQty || rules.lotSize} for ${symbol}` };
+    }
+    if (rules.maxQty && order.qty > rules.maxQty) {
+      return { error: `qty exceeds the ${exchange} maximum of ${rules.maxQty} for ${symbol}` };
+    }
+  }
+
+  const lev = parseAmount(fields.lev);
+  if (fields.lev && !lev) return { error: 'leverage must be a positive number' };
+  if (lev) {
+    if (rules.maxLeverage && lev > rules.maxLeverage) {
+      return { error: `${lev}x exceeds the ${exchange} maximum of ${rules.maxLeverage}x for ${symbol}` };
+    }
+    order.leverage = Math.max(1, Math.round(lev * 100) / 100);
+  }
+
+  for (const key of ['takeProfit', 'stopLoss']) {
+    if (!fields[key]) continue;
+    const level = parseAmount(fields[key]);
+    if (!level) return { error: `${key} must be a positive number` };
+    order[key] = roundPrice(level, rules);
+  }
+  return { order };
+}
+
+module.exports = {
+  instrumentRules,
+  normalizeOrder
+};
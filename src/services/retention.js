@@ -0,0 +1,140 @@
+// Retention scheduler: per-table policies delete rows older than N days, or
+// archive them to a gzip NDJSON file first. Runs are kept for the admin report.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const storage = require('./storage');
+const { RETENTION_POLICIES, RETENTION_INTERVAL_MS, RETENTION_ARCHIVE_DIR } = require('../config/constants');
+
+const ACTIONS = new Set(['delete', 'archive']);
+const MAX_REPORTS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const reports = []; // most recent first
+let timer = null;
+let running = null; // promise of the run in progress
+
+// Valid policies from config; anything else is logged and ignored
+function loadPolicies(config = RETENTION_POLICIES) {
+  const policies = [];
+  for (const [table, policy] of Object.entries(config || {})) {
+    const days = Number(policy?.days);
+    const action = String(policy?.action || 'delete').toLowerCase();
+    if (!storage.RETENTION_TABLES[table] || !(days > 0) || !ACTIONS.has(action)) {
+      console.warn(`[Retention] Ignoring invalid policy for ${table}:`, JSON.stringify(policy));
+      continue;
+    }
+    policies.push({ table, days, action });
+  }
+  return policies;
+}
+
+const policies = loadPolicies();
+
+// Write every expired row to <dir>/<table>-<stamp>.ndjson.gz; returns { file, count }
+async function archiveRows(table, cutoffMs, stamp) {
+  fs.mkdirSync(RETENTION_ARCHIVE_DIR, { recursive: true });
+  const file = path.join(RETENTION_ARCHIVE_DIR, `${table}-${stamp}.ndjson.gz`);
+  let count = 0;
+
+  async function* lines() {
+    for await (const batch of storage.streamExpiredRows(table, cutoffMs)) {
+      count += batch.length;
+      yield batch.map(row => `${JSON.stringify(row)}\n`).join('');
+    }
+  }
+  await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(file));
+
+  if (!count) {
+    fs.unlinkSync(file);
+    return { file: null, count };
+  }
+  return { file, count };
+}
+
+// Apply one policy. Rows are deleted only after their archive is fully written.
+async function applyPolicy({ table, days, action }, now) {
+  const cutoffMs = now - days * DAY_MS;
+  const result = { table, action, days, cutoff: cutoffMs, archived: 0, archiveFile: null, deleted: 0 };
+  try {
+    if (action === 'archive') {
+      const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+      const { file, count } = await archiveRows(table, cutoffMs, stamp);
+      result.archived = count;
+      result.archiveFile = file ? path.basename(file) : null;
+      if (!count) return result;
+    }
+    result.deleted = await storage.deleteExpiredRows(table, cutoffMs);
+  } catch (e) {
+    console.error(`[Retention] ${table} failed:`, e.message);
+    result.error = e.message;
+  }
+  return result;
+}
+
+async function execute() {
+  const startedAt = Date.now();
+  const tables = [];
+  for (const policy of policies) {
+    tables.push(await applyPolicy(policy, startedAt));
+  }
+
+  const report = { startedAt, finishedAt: Date.now(), tables };
+  // The JSON store trims itself when full; surface that here instead of dropping silently
+  const dropped = storage.pgClient ? 0 : storage.takeDroppedMessageCount();
+  if (dropped) report.memoryOverflow = { table: 'chat_messages', dropped };
+
+  reports.unshift(report);
+  reports.length = Math.min(reports.length, MAX_REPORTS);
+
+  const removed = tables.reduce((sum, t) => sum + t.deleted, 0);
+  console.log(`🧹 [Retention] Run removed ${removed} rows:`, tables.map(t => `${t.table}=${t.deleted}${t.error ? '(error)' : ''}`).join(', '));
+  storage.recordAudit({ action: 'retention.run', actor: 'retention', scope: { tables }, affected: removed })
+    .catch(e => console.error('[Retention] Audit failed:', e.message));
+  return report;
+}
+
+// Run all policies now; a run already in progress is shared rather than doubled
+function runOnce() {
+  if (!running) {
+    running = execute().finally(() => { running = null; });
+  }
+  return running;
+}
+
+function start() {
+  if (timer) return;
+  if (!policies.length) {
+    console.log('[Retention] No policies configured, keeping all rows');
+    return;
+  }
+  console.log(`[Retention] Policies: ${policies.map(p => `${p.table} ${p.action} after ${p.days}d`).join(', ')}`);
+  timer = setInterval(() => runOnce().catch(e => console.error('[Retention] Run failed:', e.message)), RETENTION_INTERVAL_MS);
+  // First run shortly after boot, off the startup path
+  setTimeout(() => runOnce().catch(e => console.error('[Retention] Run failed:', e.message)), 60000).unref();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function getStatus() {
+  return {
+    policies,
+    intervalMs: RETENTION_INTERVAL_MS,
+    running: !!running,
+    runs: reports
+  };
+}
+
+module.exports = {
+  loadPolicies,
+  runOnce,
+  start,
+  stop,
+  getStatus
+};
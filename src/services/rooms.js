@@ -0,0 +1,157 @@
+// Chat room membership, presence and fan-out
+
+const { nameKey } = require('../middleware/validation');
+
+const DEFAULT_ROOM = 'global';
+
+const rooms = new Map();             // room -> Set<ws>
+const activeConnections = new Map(); // room -> Set<connectionId>
+const userSockets = new Map();       // lowercased user name -> Set<ws> (all rooms)
+const members = new Map();           // room -> Map<connectionId, { name, color, since }>
+
+function broadcast(room, payload, except = null) {
+  const set = rooms.get(room);
+  if (!set) return;
+  const data = JSON.stringify(payload);
+  for (const ws of set) {
+    if (ws === except) continue;
+    try { ws.send(data); } catch (_) {}
+  }
+}
+
+function broadcastPresence(room) {
+  const count = activeConnections.get(room)?.size || 0;
+  broadcast(room, { type: 'presence', room, count });
+}
+
+// Is any connection in the room listed under this name?
+function hasMember(room, key) {
+  for (const m of members.get(room)?.values() || []) {
+    if (nameKey(m.name) === key) return true;
+  }
+  return false;
+}
+
+/**
+ * Set (or clear, with a null user) the identity a connection shows in a room's
+ * roster. Anonymous sockets are counted in presence but not listed. The room gets
+ * rosterJoin / rosterLeave only when a name's first or last connection changes.
+ */
+function setMember(room, connectionId, user) {
+  if (!members.has(room)) members.set(room, new Map());
+  const map = members.get(room);
+
+  const prev = map.get(connectionId);
+  if (prev) {
+    map.delete(connectionId);
+    if (!hasMember(room, nameKey(prev.name))) {
+      broadcast(room, { type: 'rosterLeave', room, name: prev.name });
+    }
+  }
+
+  if (user && user.name && user.name !== 'Anon') {
+    const listed = hasMember(room, nameKey(user.name));
+    const member = { name: user.name, color: user.color, since: Date.now() };
+    map.set(connectionId, member);
+    if (!listed) broadcast(room, { type: 'rosterJoin', room, user: member });
+  }
+  if (!map.size) members.delete(room);
+}
+
+// Named users in a room (one entry per name, earliest join), longest-present first
+function getRoster(room) {
+  const byName = new Map();
+  for (const m of members.get(room)?.values() || []) {
+    const key = nameKey(m.name);
+    const seen = byName.get(key);
+    if (!seen || m.since < seen.since) byName.set(key, { ...m });
+  }
+  return Array.from(byName.values()).sort((a, b) => a.since - b.since);
+}
+
+function joinRoom(room, ws, connectionId, user = null) {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(ws);
+
+  if (!activeConnections.has(room)) activeConnections.set(room, new Set());
+  activeConnections.get(room).add(connectionId);
+  setMember(room, connectionId, user);
+  broadcastPresence(room);
+}
+
+function leaveRoom(room, ws, connectionId) {
+  try { rooms.get(room)?.delete(ws); } catch (_) {}
+  try { activeConnections.get(room)?.delete(connectionId); } catch (_) {}
+  setMember(room, connectionId, null);
+
+  // Drop empty named rooms so discovery only lists live ones
+  if (room !== DEFAULT_ROOM && !activeConnections.get(room)?.size) {
+    rooms.delete(room);
+    activeConnections.delete(room);
+    return;
+  }
+  broadcastPresence(room);
+}
+
+// Track which sockets belong to a user so they can be addressed directly
+function registerUser(name, ws) {
+  const key = nameKey(name);
+  if (!key) return;
+  if (!userSockets.has(key)) userSockets.set(key, new Set());
+  userSockets.get(key).add(ws);
+}
+
+function unregisterUser(name, ws) {
+  const key = nameKey(name);
+  const set = userSockets.get(key);
+  if (!set) return;
+  set.delete(ws);
+  if (!set.size) userSockets.delete(key);
+}
+
+// Send to every socket a user has open, whatever room it is in; returns sockets reached
+function sendToUser(name, payload) {
+  const set = userSockets.get(nameKey(name));
+  if (!set) return 0;
+  const data = JSON.stringify(payload);
+  for (const ws of set) {
+    try { ws.send(data); } catch (_) {}
+  }
+  return set.size;
+}
+
+// Close every socket a user has open (e.g. after a ban); returns sockets closed
+function closeUserSockets(name, code, reason) {
+  const set = userSockets.get(nameKey(name));
+  if (!set) return 0;
+  const count = set.size;
+  for (const ws of Array.from(set)) {
+    try { ws.close(code, reason); } catch (_) {}
+  }
+  return count;
+}
+
+// Active rooms with presence counts, busiest first
+function listRooms() {
+  const list = [];
+  for (const [room, ids] of activeConnections) {
+    list.push({ room, count: ids.size });
+  }
+  if (!activeConnections.has(DEFAULT_ROOM)) list.push({ room: DEFAULT_ROOM, count: 0 });
+  return list.sort((a, b) => b.count - a.count || a.room.localeCompare(b.room));
+}
+
+module.exports = {
+  DEFAULT_ROOM,
+  broadcast,
+  broadcastPresence,
+  joinRoom,
+  leaveRoom,
+  setMember,
+  getRoster,
+  listRooms,
+  registerUser,
+  unregisterUser,
+  sendToUser,
+  closeUserSockets
+};
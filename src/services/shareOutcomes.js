@@ -0,0 +1,227 @@
+// Trade-share outcome tracking: marks shared calls pending / open / TP-hit / SL-hit
+// and records max favourable / adverse excursion against hub ticker prices.
+// Calls with a stated entry stay pending, and unscored, until the price reaches it.
+
+const storage = require('./storage');
+const { broadcast } = require('./rooms');
+const { findTicker, parseAmount, round2 } = require('./symbols');
+const { getHub } = require('./hub/PublicDataHub');
+const { SHARE_TRACK_INTERVAL_MS, SHARE_TRACK_MAX_AGE_MS } = require('../config/constants');
+
+const BROADCAST_MIN_INTERVAL = 15000; // excursion updates per share at most every 15s
+const PERSIST_INTERVAL = 60000;       // open-share excursions are flushed every minute
+
+const tracked = new Map(); // message id -> share state
+let tickTimer = null;
+let flushTimer = null;
+
+// R multiple of a closed call: exit distance over the stated risk (entry to stop)
+function rMultiple(entry, stopLoss, exitPrice, long) {
+  if (!entry || !stopLoss || !exitPrice || entry === stopLoss) return null;
+  return (exitPrice - entry) * (long ? 1 : -1) / Math.abs(entry - stopLoss);
+}
+
+function outcomeOf(state) {
+  return {
+    status: state.status,
+    mfe: round2(state.mfe),
+    mae: round2(state.mae),
+    entry: state.entry,
+    lastPrice: state.lastPrice,
+    exitPrice: state.exitPrice,
+    closedAt: state.closedAt,
+    r: state.r === null ? null : round2(state.r)
+  };
+}
+
+/**
+ * Check a call's levels before it is shared: each must be a positive number and
+ * sit on the right side of the reference price (the stated entry, else the live
+ * price): stopLoss < entry < takeProfit for longs, mirrored for shorts.
+ * Returns an error message or null.
+ */
+function checkLevels({ long, entry, takeProfit, stopLoss, markPrice }) {
+  const levels = {};
+  for (const [key, value] of Object.entries({ entry, takeProfit, stopLoss })) {
+    if (!value) continue;
+    levels[key] = parseAmount(value);
+    if (!levels[key]) return `${key} must be a positive number`;
+  }
+  const beyond = (a, b) => (long ? a > b : a < b);
+  const side = long ? 'long' : 'short';
+  if (levels.takeProfit && levels.stopLoss && !beyond(levels.takeProfit, levels.stopLoss)) {
+    return `takeProfit must be ${long ? 'above' : 'below'} stopLoss for a ${side}`;
+  }
+  const ref = levels.entry || markPrice;
+  if (!ref) return null;
+  const refName = levels.entry ? 'entry' : `the current price (${ref})`;
+  if (levels.takeProfit && !beyond(levels.takeProfit, ref)) {
+    return `takeProfit must be ${long ? 'above' : 'below'} ${refName} for a ${side}`;
+  }
+  if (levels.stopLoss && !beyond(ref, levels.stopLoss)) {
+    return `stopLoss must be ${long ? 'below' : 'above'} ${refName} for a ${side}`;
+  }
+  return null;
+}
+
+// Start tracking a share; accepts a chat_messages row
+function trackShare(row) {
+  if (!row?.id || !row.is_trade || row.deleted_at) return;
+  const status = row.trade_status || 'open';
+  if (status !== 'pending' && status !== 'open') return;
+  const state = {
+    id: row.id,
+    room: row.room,
+    sym: row.trade_sym,
+    exchange: row.trade_exchange || null,
+    long: row.trade_side !== 'Short',
+    entry: parseAmount(row.trade_entry), // market calls get the first observed price
+    takeProfit: parseAmount(row.trade_take_profit),
+    stopLoss: parseAmount(row.trade_stop_loss),
+    createdAt: Number(row.ts) || Date.now(),
+    status,
+    startAbove: null, // pending: whether the price started above entry
+    mfe: Number(row.trade_mfe) || 0,
+    mae: Number(row.trade_mae) || 0,
+    lastPrice: null,
+    exitPrice: null,
+    closedAt: null,
+    r: null,
+    dirty: false,
+    lastBroadcast: 0
+  };
+  if (status === 'pending') {
+    const mark = Number(row.trade_mark_price);
+    if (!state.entry) state.status = 'open';
+    else if (mark > 0) state.startAbove = mark > state.entry;
+  }
+  if (!state.entry) {
+    const found = findTicker(getHub(), state.sym, state.exchange);
+    if (found) {
+      state.entry = found.price;
+      state.dirty = true;
+    }
+  }
+  tracked.set(row.id, state);
+}
+
+function untrackShare(id) {
+  tracked.delete(id);
+}
+
+function getOutcome(id) {
+  const state = tracked.get(id);
+  return state ? outcomeOf(state) : null;
+}
+
+// Apply one price observation; returns true when the status changed
+function evaluate(state, price) {
+  state.lastPrice = price;
+  let filled = false;
+  if (state.status === 'pending') {
+    // A stated entry fills once the price reaches it from whichever side it started
+    if (state.startAbove === null) state.startAbove = price > state.entry;
+    if (state.startAbove ? price > state.entry : price < state.entry) return false;
+    state.status = 'open';
+    state.dirty = true;
+    filled = true;
+  }
+  if (!state.entry) {
+    state.entry = price;
+    state.dirty = true;
+  }
+
+  const move = (price - state.entry) / state.entry * 100 * (state.long ? 1 : -1);
+  state.mfe = Math.max(state.mfe, move);
+  state.mae = Math.max(state.mae, -move);
+
+  // Stop checked first: with both levels crossed in one sample, assume the worse fill
+  const slHit = state.stopLoss && (state.long ? price <= state.stopLoss : price >= state.stopLoss);
+  const tpHit = state.takeProfit && (state.long ? price >= state.takeProfit : price <= state.takeProfit);
+  if (!slHit && !tpHit) return filled;
+
+  state.status = slHit ? 'sl_hit' : 'tp_hit';
+  state.exitPrice = slHit ? state.stopLoss : state.takeProfit;
+  state.closedAt = Date.now();
+  state.r = rMultiple(state.entry, state.stopLoss, state.exitPrice, state.long);
+  return true;
+}
+
+async function persist(state) {
+  state.dirty = false;
+  await storage.updateTradeOutcome(state.id, outcomeOf(state))
+    .catch(e => console.error(`[ShareOutcomes] Persist failed for ${state.id}:`, e.message));
+}
+
+// Sample ticker snapshots; intra-interval wicks are not seen
+function tick() {
+  const hub = getHub();
+  const now = Date.now();
+
+  for (const state of tracked.values()) {
+    if (now - state.createdAt > SHARE_TRACK_MAX_AGE_MS) {
+      tracked.delete(state.id);
+      if (state.dirty) persist(state);
+      continue;
+    }
+
+    const found = findTicker(hub, state.sym, state.exchange);
+    if (!found) continue;
+
+    const before = `${round2(state.mfe)}|${round2(state.mae)}`;
+    const changed = evaluate(state, found.price);
+    const closed = state.status === 'tp_hit' || state.status === 'sl_hit';
+    const moved = before !== `${round2(state.mfe)}|${round2(state.mae)}`;
+    if (moved) state.dirty = true;
+
+    if (closed) {
+      tracked.delete(state.id);
+      persist(state);
+      console.log(`🎯 [ShareOutcomes] ${state.sym} ${state.long ? 'Long' : 'Short'} ${state.id} -> ${state.status}`);
+    } else if (changed) {
+      persist(state);
+    }
+    if (changed || (moved && now - state.lastBroadcast >= BROADCAST_MIN_INTERVAL)) {
+      state.lastBroadcast = now;
+      broadcast(state.room, { type: 'shareOutcome', room: state.room, id: state.id, outcome: outcomeOf(state) });
+    }
+  }
+}
+
+async function flush() {
+  for (const state of tracked.values()) {
+    if (state.dirty) await persist(state);
+  }
+}
+
+// Resume tracking recent open shares and start sampling
+async function start() {
+  if (tickTimer) return;
+  try {
+    const rows = await storage.getOpenTradeShares(Date.now() - SHARE_TRACK_MAX_AGE_MS);
+    rows.forEach(trackShare);
+    console.log(`[ShareOutcomes] Tracking ${tracked.size} open trade shares`);
+  } catch (e) {
+    console.error('[ShareOutcomes] Failed to load open shares:', e.message);
+  }
+  tickTimer = setInterval(tick, SHARE_TRACK_INTERVAL_MS);
+  flushTimer = setInterval(flush, PERSIST_INTERVAL);
+}
+
+function stop() {
+  clearInterval(tickTimer);
+  clearInterval(flushTimer);
+  tickTimer = null;
+  flushTimer = null;
+  return flush();
+}
+
+module.exports = {
+  rMultiple,
+  checkLevels,
+  trackShare,
+  untrackShare,
+  getOutcome,
+  start,
+  stop
+};
@@ -3,15 +3,95 @@
 const fs = require('fs');
 const path = require('path');
 const { Client } = require('pg');
-const { DATABASE_URL } = require('../config/constants');
+const { DATABASE_URL, MEMORY_MESSAGE_LIMIT } = require('../config/constants');
+const { baseCoin, symbolVariants } = require('./symbols');
+const { nameKey } = require('../middleware/validation');
 
 const MESSAGES_FILE = path.join(__dirname, '..', '..', 'data', 'messages.json');
 const NEWS_FILE = path.join(__dirname, '..', '..', 'data', 'news.json');
+const ACCOUNTS_FILE = path.join(__dirname, '..', '..', 'data', 'accounts.json');
+const AUDIT_FILE = path.join(__dirname, '..', '..', 'data', 'audit.json');
+const REACTIONS_FILE = path.join(__dirname, '..', '..', 'data', 'reactions.json');
+const MENTIONS_FILE = path.join(__dirname, '..', '..', 'data', 'mentions.json');
+const MODERATION_FILE = path.join(__dirname, '..', '..', 'data', 'moderation.json');
+const DIRECT_MESSAGES_FILE = path.join(__dirname, '..', '..', 'data', 'direct_messages.json');
+const POLL_VOTES_FILE = path.join(__dirname, '..', '..', 'data', 'poll_votes.json');
+const PINS_FILE = path.join(__dirname, '..', '..', 'data', 'pins.json');
+const USERS_FILE = path.join(__dirname, '..', '..', 'data', 'users.json');
+const FOLLOWS_FILE = path.join(__dirname, '..', '..', 'data', 'follows.json');
+const LAYOUTS_FILE = path.join(__dirname, '..', '..', 'data', 'layouts.json');
+const LAYOUT_VERSIONS_FILE = path.join(__dirname, '..', '..', 'data', 'layout_versions.json');
+
+// Columns selected for chat history rows (timestamps as epoch ms, matching the memory store)
+const MESSAGE_COLUMNS = `id, room, user_name, user_color, text, is_trade, trade_sym, trade_side, trade_lev, trade_entry, trade_take_profit, trade_stop_loss,
+  trade_exchange, trade_mark_price,
+  is_order, order_sym, order_side, order_lev, order_price, order_qty, order_type, order_take_profit, order_stop_loss,
+  order_exchange, order_mark_price, order_copy,
+  is_layout, layout_name, layout_window_count, layout_windows, layout_id, layout_version, reply_to, thread_id, client_id,
+  trade_status, trade_mfe, trade_mae, trade_exit_price, EXTRACT(EPOCH FROM trade_closed_at) * 1000 as trade_closed_at, trade_r,
+  is_poll, poll_question, poll_options, poll_tallies, EXTRACT(EPOCH FROM poll_closes_at) * 1000 as poll_closes_at,
+  EXTRACT(EPOCH FROM edited_at) * 1000 as edited_at, EXTRACT(EPOCH FROM deleted_at) * 1000 as deleted_at,
+  EXTRACT(EPOCH FROM created_at) * 1000 as ts`;
+
+// Searchable text of a chat message; must match the chat_messages_search index expression
+const SEARCH_DOCUMENT = `to_tsvector('simple', COALESCE(text, '') || ' ' || COALESCE(layout_name, '') || ' ' || COALESCE(poll_question, ''))`;
+
+// Message kinds accepted by searchMessages, as SQL conditions and memory predicates
+const MESSAGE_KINDS = {
+  chat: { sql: 'NOT is_trade AND NOT is_order AND NOT is_layout AND NOT is_poll', test: m => !m.is_trade && !m.is_order && !m.is_layout && !m.is_poll },
+  trade: { sql: 'is_trade', test: m => !!m.is_trade },
+  order: { sql: 'is_order', test: m => !!m.is_order },
+  layout: { sql: 'is_layout', test: m => !!m.is_layout },
+  poll: { sql: 'is_poll', test: m => !!m.is_poll }
+};
+
+// Fields an author may change when editing a message
+const EDITABLE_FIELDS = new Set([
+  'text', 'trade_lev', 'trade_entry', 'trade_take_profit', 'trade_stop_loss',
+  'order_lev', 'order_price', 'order_qty', 'order_type', 'order_take_profit', 'order_stop_loss', 'order_copy'
+]);
 
 let pgClient = null;
 let memoryMessages = [];
 let memoryNews = [];
 let memoryVolatilityAlerts = [];
+let memoryAccounts = [];
+let memoryAudit = [];
+let memoryReactions = [];
+let memoryMentions = [];
+let memoryModeration = { sanctions: [], rooms: {} };
+let memoryDirectMessages = [];
+let memoryPollVotes = [];
+let memoryPins = [];
+let memoryUsers = [];
+let memoryFollows = [];
+let memoryLayouts = [];
+let memoryLayoutVersions = [];
+let memoryMessagesDropped = 0; // JSON-store overflow since the last retention report
+
+// Read a JSON data file, returning fallback when missing or unreadable
+function readDataFile(file, fallback) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8')) || fallback;
+    }
+  } catch (e) {
+    console.error(`[Storage] Failed to read ${path.basename(file)}:`, e.message);
+  }
+  return fallback;
+}
+
+function writeDataFile(file, data) {
+  try {
+    const dataDir = path.dirname(file);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.error(`[Storage] Failed to save ${path.basename(file)}:`, e.message);
+  }
+}
 
 // Load messages from file on startup
 function loadMessages() {
@@ -50,6 +130,23 @@ function loadNews() {
   }
 }
 
+// Load the smaller JSON-backed stores used when Postgres is not configured
+function loadDataFiles() {
+  memoryAccounts = readDataFile(ACCOUNTS_FILE, []);
+  if (memoryAccounts.length) console.log(`[Storage] Loaded ${memoryAccounts.length} accounts from file`);
+  memoryAudit = readDataFile(AUDIT_FILE, []);
+  memoryReactions = readDataFile(REACTIONS_FILE, []);
+  memoryMentions = readDataFile(MENTIONS_FILE, []);
+  memoryModeration = { sanctions: [], rooms: {}, ...readDataFile(MODERATION_FILE, {}) };
+  memoryDirectMessages = readDataFile(DIRECT_MESSAGES_FILE, []);
+  memoryPollVotes = readDataFile(POLL_VOTES_FILE, []);
+  memoryPins = readDataFile(PINS_FILE, []);
+  memoryUsers = readDataFile(USERS_FILE, []);
+  memoryFollows = readDataFile(FOLLOWS_FILE, []);
+  memoryLayouts = readDataFile(LAYOUTS_FILE, []);
+  memoryLayoutVersions = readDataFile(LAYOUT_VERSIONS_FILE, []);
+}
+
 function saveMessages() {
   try {
     const dataDir = path.dirname(MESSAGES_FILE);
@@ -163,6 +260,139 @@ async function initPostgres() {
       ts TIMESTAMPTZ DEFAULT NOW()
     );
     CREATE INDEX IF NOT EXISTS idx_trade_events_ts ON trade_events(ts DESC);
+
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id SERIAL PRIMARY KEY,
+      action TEXT NOT NULL,
+      actor TEXT,
+      ip TEXT,
+      scope JSONB,
+      affected INTEGER DEFAULT 0,
+      dry_run BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS admin_audit_log_created_at ON admin_audit_log(created_at DESC);
+
+    CREATE TABLE IF NOT EXISTS message_reactions (
+      message_id TEXT NOT NULL,
+      user_name TEXT NOT NULL,
+      emoji TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (message_id, user_name, emoji)
+    );
+
+    CREATE TABLE IF NOT EXISTS chat_mentions (
+      id SERIAL PRIMARY KEY,
+      message_id TEXT NOT NULL,
+      room TEXT NOT NULL,
+      user_key TEXT NOT NULL,
+      from_user TEXT NOT NULL,
+      text TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      read_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS chat_mentions_unread ON chat_mentions(user_key, created_at DESC) WHERE read_at IS NULL;
+
+    CREATE TABLE IF NOT EXISTS chat_sanctions (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      user_key TEXT,
+      ip TEXT,
+      room TEXT,
+      reason TEXT,
+      created_by TEXT,
+      expires_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS room_settings (
+      room TEXT PRIMARY KEY,
+      slow_mode_ms INTEGER DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS room_pins (
+      id TEXT PRIMARY KEY,
+      room TEXT NOT NULL,
+      message_id TEXT,
+      text TEXT,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS room_pins_room ON room_pins(room, created_at);
+
+    CREATE TABLE IF NOT EXISTS poll_votes (
+      message_id TEXT NOT NULL,
+      user_key TEXT NOT NULL,
+      user_name TEXT NOT NULL,
+      option_index INTEGER NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (message_id, user_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS direct_messages (
+      id TEXT PRIMARY KEY,
+      pair_key TEXT NOT NULL,
+      sender TEXT NOT NULL,
+      sender_color TEXT,
+      recipient TEXT NOT NULL,
+      text TEXT NOT NULL,
+      client_id TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS direct_messages_pair_created_at ON direct_messages(pair_key, created_at DESC);
+
+    CREATE TABLE IF NOT EXISTS users (
+      name_key TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      bio TEXT,
+      color TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS follows (
+      follower_key TEXT NOT NULL,
+      follower TEXT NOT NULL,
+      trader_key TEXT NOT NULL,
+      trader TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (follower_key, trader_key)
+    );
+    CREATE INDEX IF NOT EXISTS follows_trader ON follows(trader_key);
+
+    CREATE TABLE IF NOT EXISTS layouts (
+      id TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      owner_key TEXT NOT NULL,
+      name TEXT NOT NULL,
+      is_public BOOLEAN DEFAULT FALSE,
+      version INTEGER NOT NULL DEFAULT 1,
+      windows JSONB NOT NULL,
+      forked_from TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS layouts_owner ON layouts(owner_key, updated_at DESC);
+    CREATE INDEX IF NOT EXISTS layouts_public ON layouts(updated_at DESC) WHERE is_public;
+
+    CREATE TABLE IF NOT EXISTS layout_versions (
+      layout_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      windows JSONB NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (layout_id, version)
+    );
+
+    -- Chat accounts (reserved names for signed sessions)
+    CREATE TABLE IF NOT EXISTS chat_accounts (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL UNIQUE,
+      key_hash TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
   `);
   
   // Online migrations
@@ -186,24 +416,67 @@ async function initPostgres() {
   await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS order_type TEXT`);
   await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS order_take_profit TEXT`);
   await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS order_stop_loss TEXT`);
+  // Edit/delete columns
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ`);
+  // Trade-share outcome columns
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS trade_status TEXT`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS trade_mfe NUMERIC`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS trade_mae NUMERIC`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS trade_exit_price NUMERIC`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS trade_closed_at TIMESTAMPTZ`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS trade_r NUMERIC`);
+  // Threaded replies: reply_to holds the parent id, thread_id the thread root
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS thread_id TEXT`);
+  await pgClient.query(`CREATE INDEX IF NOT EXISTS chat_messages_thread ON chat_messages(thread_id, created_at) WHERE thread_id IS NOT NULL`);
+  await pgClient.query(`CREATE INDEX IF NOT EXISTS chat_messages_tracked_trades ON chat_messages(created_at) WHERE is_trade AND trade_status IN ('pending', 'open')`);
+  // Polls: options and per-option tallies as JSON arrays; votes live in poll_votes
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS is_poll BOOLEAN DEFAULT FALSE`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS poll_question TEXT`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS poll_options JSONB`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS poll_tallies JSONB`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS poll_closes_at TIMESTAMPTZ`);
+  // Shares record the venue and the live price at share time
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS trade_exchange TEXT`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS trade_mark_price NUMERIC`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS order_exchange TEXT`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS order_mark_price NUMERIC`);
+  // Copy-ready order (rounded to the venue's tick/lot rules) for followers to replay
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS order_copy JSONB`);
+  // Layout shares may reference a stored layout version
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS layout_id TEXT`);
+  await pgClient.query(`ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS layout_version INTEGER`);
+  // Room owners (verified account names) may pin and post announcements
+  await pgClient.query(`ALTER TABLE room_settings ADD COLUMN IF NOT EXISTS owners JSONB DEFAULT '[]'`);
+  // History search: full-text over message text plus symbol lookups on shares/orders
+  await pgClient.query(`CREATE INDEX IF NOT EXISTS chat_messages_search ON chat_messages USING GIN (${SEARCH_DOCUMENT})`);
+  await pgClient.query(`CREATE INDEX IF NOT EXISTS chat_messages_trade_sym ON chat_messages (UPPER(trade_sym)) WHERE is_trade`);
+  await pgClient.query(`CREATE INDEX IF NOT EXISTS chat_messages_order_sym ON chat_messages (UPPER(order_sym)) WHERE is_order`);
+  // Profile stats and user search match names case-insensitively
+  await pgClient.query(`CREATE INDEX IF NOT EXISTS chat_messages_user_lower_created_at ON chat_messages(LOWER(user_name), created_at DESC)`);
+  // Idempotent sends look up (user, clientId), with names matched like the idempotency key
+  await pgClient.query(`CREATE INDEX IF NOT EXISTS chat_messages_user_lower_client_id ON chat_messages(LOWER(user_name), client_id) WHERE client_id IS NOT NULL`);
 }
 
 // Persist chat message
 async function persistMessage(msg) {
   const {
     id, room, user_name, user_color, text,
-    is_trade, trade_sym, trade_side, trade_lev, trade_entry, trade_take_profit, trade_stop_loss,
-    is_layout, layout_name, layout_window_count, layout_windows,
+    is_trade, trade_sym, trade_side, trade_lev, trade_entry, trade_take_profit, trade_stop_loss, trade_status,
+    trade_exchange, trade_mark_price, order_exchange, order_mark_price, order_copy,
+    is_layout, layout_name, layout_window_count, layout_windows, layout_id, layout_version,
     is_order, order_sym, order_side, order_lev, order_price, order_qty, order_type, order_take_profit, order_stop_loss,
-    reply_to, client_id
+    is_poll, poll_question, poll_options, poll_tallies, poll_closes_at,
+    reply_to, thread_id, client_id
   } = msg;
   
   if (pgClient) {
     try {
       await pgClient.query(
-        `INSERT INTO chat_messages (id, room, user_name, user_color, text, is_trade, trade_sym, trade_side, trade_lev, trade_entry, trade_take_profit, trade_stop_loss, is_layout, layout_name, layout_window_count, layout_windows, is_order, order_sym, order_side, order_lev, order_price, order_qty, order_type, order_take_profit, order_stop_loss, reply_to, client_id)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27) ON CONFLICT (id) DO NOTHING`,
-        [id, room, user_name, user_color, text || null, !!is_trade, trade_sym || null, trade_side || null, trade_lev || null, trade_entry || null, trade_take_profit || null, trade_stop_loss || null, !!is_layout, layout_name || null, layout_window_count || null, layout_windows || null, !!is_order, order_sym || null, order_side || null, order_lev || null, order_price || null, order_qty || null, order_type || null, order_take_profit || null, order_stop_loss || null, reply_to || null, client_id || null]
+        `INSERT INTO chat_messages (id, room, user_name, user_color, text, is_trade, trade_sym, trade_side, trade_lev, trade_entry, trade_take_profit, trade_stop_loss, is_layout, layout_name, layout_window_count, layout_windows, is_order, order_sym, order_side, order_lev, order_price, order_qty, order_type, order_take_profit, order_stop_loss, reply_to, client_id, trade_status, thread_id, is_poll, poll_question, poll_options, poll_tallies, poll_closes_at, layout_id, layout_version, trade_exchange, trade_mark_price, order_exchange, order_mark_price, order_copy)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29,$30,$31,$32,$33,
+           CASE WHEN $34::float8 IS NULL THEN NULL ELSE TO_TIMESTAMP($34::float8/1000.0) END, $35, $36, $37, $38, $39, $40, $41) ON CONFLICT (id) DO NOTHING`,
+        [id, room, user_name, user_color, text || null, !!is_trade, trade_sym || null, trade_side || null, trade_lev || null, trade_entry || null, trade_take_profit || null, trade_stop_loss || null, !!is_layout, layout_name || null, layout_window_count || null, layout_windows || null, !!is_order, order_sym || null, order_side || null, order_lev || null, order_price || null, order_qty || null, order_type || null, order_take_profit || null, order_stop_loss || null, reply_to || null, client_id || null, trade_status || null, thread_id || null, !!is_poll, poll_question || null, poll_options || null, poll_tallies || null, poll_closes_at || null, layout_id || null, layout_version || null, trade_exchange || null, trade_mark_price || null, order_exchange || null, order_mark_price || null, order_copy || null]
       );
     } catch (e) {
       console.error('[Storage] persistMessage error:', e.message);
@@ -214,22 +487,1117 @@ async function persistMessage(msg) {
       is_trade: !!is_trade, trade_sym: trade_sym || null, trade_side: trade_side || null,
       trade_lev: trade_lev || null, trade_entry: trade_entry || null,
       trade_take_profit: trade_take_profit || null, trade_stop_loss: trade_stop_loss || null,
+      trade_status: trade_status || null, trade_exchange: trade_exchange || null, trade_mark_price: trade_mark_price || null,
       is_layout: !!is_layout, layout_name: layout_name || null, layout_window_count: layout_window_count || null,
-      layout_windows: layout_windows || null,
+      layout_windows: layout_windows || null, layout_id: layout_id || null, layout_version: layout_version || null,
       is_order: !!is_order, order_sym: order_sym || null, order_side: order_side || null,
       order_lev: order_lev || null, order_price: order_price || null, order_qty: order_qty || null,
       order_type: order_type || null, order_take_profit: order_take_profit || null, order_stop_loss: order_stop_loss || null,
-      reply_to: reply_to || null, client_id: client_id || null, ts: Date.now()
+      order_exchange: order_exchange || null, order_mark_price: order_mark_price || null, order_copy: order_copy || null,
+      is_poll: !!is_poll, poll_question: poll_question || null, poll_options: poll_options || null,
+      poll_tallies: poll_tallies || null, poll_closes_at: poll_closes_at || null,
+      reply_to: reply_to || null, thread_id: thread_id || null, client_id: client_id || null, ts: Date.now()
     };
     
     memoryMessages.push(memMsg);
-    if (memoryMessages.length > 1000) {
-      memoryMessages = memoryMessages.slice(-1000);
+    if (memoryMessages.length > MEMORY_MESSAGE_LIMIT) {
+      memoryMessagesDropped += memoryMessages.length - MEMORY_MESSAGE_LIMIT;
+      memoryMessages = memoryMessages.slice(-MEMORY_MESSAGE_LIMIT);
     }
     saveMessages();
   }
 }
 
+// Fetch a single chat message row by id
+async function getMessage(id) {
+  if (pgClient) {
+    const result = await pgClient.query(`SELECT ${MESSAGE_COLUMNS} FROM chat_messages WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+  return memoryMessages.find(m => m.id === id) || null;
+}
+
+// Most recent message a user sent with this clientId (idempotency lookup)
+async function getMessageByClientId(userName, clientId) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM chat_messages WHERE LOWER(user_name) = LOWER($1) AND client_id = $2 ORDER BY created_at DESC LIMIT 1`,
+      [userName, clientId]
+    );
+    return result.rows[0] || null;
+  }
+  for (let i = memoryMessages.length - 1; i >= 0; i--) {
+    const m = memoryMessages[i];
+    if (m.client_id === clientId && nameKey(m.user_name) === nameKey(userName)) return m;
+  }
+  return null;
+}
+
+// Apply an author edit; returns the updated row (or null if missing/deleted)
+async function updateMessage(id, fields) {
+  const entries = Object.entries(fields).filter(([k]) => EDITABLE_FIELDS.has(k));
+  if (pgClient) {
+    const sets = entries.map(([k], i) => `${k} = $${i + 2}`);
+    sets.push('edited_at = NOW()');
+    const result = await pgClient.query(
+      `UPDATE chat_messages SET ${sets.join(', ')} WHERE id = $1 AND deleted_at IS NULL RETURNING ${MESSAGE_COLUMNS}`,
+      [id, ...entries.map(([, v]) => v)]
+    );
+    return result.rows[0] || null;
+  }
+  const row = memoryMessages.find(m => m.id === id && !m.deleted_at);
+  if (!row) return null;
+  for (const [k, v] of entries) row[k] = v;
+  row.edited_at = Date.now();
+  saveMessages();
+  return row;
+}
+
+// Soft-delete: the row stays for history consistency and is served as a tombstone
+async function deleteMessage(id) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `UPDATE chat_messages SET deleted_at = NOW() WHERE id = $1 AND deleted_at IS NULL RETURNING ${MESSAGE_COLUMNS}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+  const row = memoryMessages.find(m => m.id === id && !m.deleted_at);
+  if (!row) return null;
+  row.deleted_at = Date.now();
+  saveMessages();
+  return row;
+}
+
+// Drop reactions, poll votes, mentions and pins of hard-deleted messages
+async function deleteMessageDependents(ids) {
+  if (!ids.length) return;
+  if (pgClient) {
+    await pgClient.query(`DELETE FROM message_reactions WHERE message_id = ANY($1)`, [ids]);
+    await pgClient.query(`DELETE FROM poll_votes WHERE message_id = ANY($1)`, [ids]);
+    await pgClient.query(`DELETE FROM chat_mentions WHERE message_id = ANY($1)`, [ids]);
+    await pgClient.query(`DELETE FROM room_pins WHERE message_id = ANY($1)`, [ids]);
+    return;
+  }
+  const gone = new Set(ids);
+  memoryReactions = memoryReactions.filter(r => !gone.has(r.message_id));
+  memoryPollVotes = memoryPollVotes.filter(v => !gone.has(v.message_id));
+  memoryMentions = memoryMentions.filter(m => !gone.has(m.message_id));
+  memoryPins = memoryPins.filter(p => !p.message_id || !gone.has(p.message_id));
+  writeDataFile(REACTIONS_FILE, memoryReactions);
+  writeDataFile(POLL_VOTES_FILE, memoryPollVotes);
+  writeDataFile(MENTIONS_FILE, memoryMentions);
+  writeDataFile(PINS_FILE, memoryPins);
+}
+
+// Delete messages matching an admin scope { room, user, since, until, ids }.
+// With dryRun nothing is removed; rows holds a preview of the newest matches.
+async function clearMessages(scope, { dryRun = false } = {}) {
+  if (pgClient) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => { params.push(value); conditions.push(sql.replace('?', `$${params.length}`)); };
+    if (scope.room) add('room = ?', scope.room);
+    if (scope.user) add('user_name = ?', scope.user);
+    if (scope.since) add('created_at >= TO_TIMESTAMP(?/1000.0)', scope.since);
+    if (scope.until) add('created_at < TO_TIMESTAMP(?/1000.0)', scope.until);
+    if (scope.ids) add('id = ANY(?)', scope.ids);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    if (dryRun) {
+      const count = await pgClient.query(`SELECT COUNT(*)::int as count FROM chat_messages ${where}`, params);
+      const preview = await pgClient.query(`SELECT ${MESSAGE_COLUMNS} FROM chat_messages ${where} ORDER BY created_at DESC LIMIT 100`, params);
+      return { count: count.rows[0].count, rows: preview.rows };
+    }
+    const result = await pgClient.query(`DELETE FROM chat_messages ${where} RETURNING id`, params);
+    await deleteMessageDependents(result.rows.map(r => r.id));
+    return { count: result.rowCount, rows: [] };
+  }
+
+  const ids = scope.ids ? new Set(scope.ids) : null;
+  const matches = (m) => (!scope.room || m.room === scope.room)
+    && (!scope.user || m.user_name === scope.user)
+    && (!scope.since || m.ts >= scope.since)
+    && (!scope.until || m.ts < scope.until)
+    && (!ids || ids.has(m.id));
+  const matched = memoryMessages.filter(matches);
+
+  if (dryRun) {
+    return { count: matched.length, rows: matched.slice(-100).reverse() };
+  }
+  memoryMessages = memoryMessages.filter(m => !matches(m));
+  saveMessages();
+  await deleteMessageDependents(matched.map(m => m.id));
+  return { count: matched.length, rows: [] };
+}
+
+/**
+ * One page of room history, oldest first. Cursors are message ids ordered by
+ * (created_at, id) so equal timestamps never cause gaps or duplicates:
+ *   afterId  - messages newer than the cursor (oldest first, for catch-up)
+ *   beforeId - messages older than the cursor (newest page, for scrollback)
+ *   beforeTs - legacy timestamp cursor
+ * Returns { rows, hasMore } or null when the cursor id is unknown.
+ */
+async function getMessagesPage(room, { limit = 50, afterId = null, beforeId = null, beforeTs = null } = {}) {
+  const cursorId = afterId || beforeId;
+  if (pgClient) {
+    if (cursorId) {
+      const exists = await pgClient.query(`SELECT 1 FROM chat_messages WHERE id = $1 AND room = $2`, [cursorId, room]);
+      if (!exists.rows.length) return null;
+    }
+    const params = [room, limit + 1];
+    let where = 'room = $1';
+    if (cursorId) {
+      params.push(cursorId);
+      const op = afterId ? '>' : '<';
+      where += ` AND (created_at, id) ${op} (SELECT created_at, id FROM chat_messages WHERE id = $3)`;
+    } else if (beforeTs) {
+      params.push(beforeTs);
+      where += ` AND created_at < TO_TIMESTAMP($3/1000.0)`;
+    }
+    const dir = afterId ? 'ASC' : 'DESC';
+    const result = await pgClient.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM chat_messages WHERE ${where} ORDER BY created_at ${dir}, id ${dir} LIMIT $2`,
+      params
+    );
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    return { rows: afterId ? rows : rows.reverse(), hasMore };
+  }
+
+  // Memory store is append-only, so array order is the canonical order
+  let messages = memoryMessages.filter(m => m.room === room);
+  if (cursorId) {
+    const idx = messages.findIndex(m => m.id === cursorId);
+    if (idx === -1) return null;
+    messages = afterId ? messages.slice(idx + 1) : messages.slice(0, idx);
+  } else if (beforeTs) {
+    messages = messages.filter(m => m.ts < beforeTs);
+  }
+  if (afterId) {
+    return { rows: messages.slice(0, limit), hasMore: messages.length > limit };
+  }
+  return { rows: messages.slice(-limit), hasMore: messages.length > limit };
+}
+
+/**
+ * Search non-deleted messages, newest first. Filters combine with AND:
+ * q (all words), sym (share/order symbol or the coin named in text), user,
+ * kind (see MESSAGE_KINDS), room and since/until (epoch ms). beforeId pages
+ * back from a previous result; returns null when that id is unknown.
+ */
+async function searchMessages({ q, sym, user, kind, room, since, until, beforeId, limit = 50 } = {}) {
+  if (pgClient) {
+    if (beforeId) {
+      const exists = await pgClient.query(`SELECT 1 FROM chat_messages WHERE id = $1`, [beforeId]);
+      if (!exists.rows.length) return null;
+    }
+    const params = [];
+    const add = (v) => { params.push(v); return `$${params.length}`; };
+    const where = ['deleted_at IS NULL'];
+    if (q) where.push(`${SEARCH_DOCUMENT} @@ plainto_tsquery('simple', ${add(q)})`);
+    if (sym) {
+      const variants = add(symbolVariants(sym));
+      where.push(`(UPPER(trade_sym) = ANY(${variants}) OR UPPER(order_sym) = ANY(${variants}) OR ${SEARCH_DOCUMENT} @@ plainto_tsquery('simple', ${add(baseCoin(sym))}))`);
+    }
+    if (user) where.push(`LOWER(user_name) = LOWER(${add(user)})`);
+    if (kind) where.push(MESSAGE_KINDS[kind].sql);
+    if (room) where.push(`room = ${add(room)}`);
+    if (since) where.push(`created_at >= TO_TIMESTAMP(${add(since)}/1000.0)`);
+    if (until) where.push(`created_at <= TO_TIMESTAMP(${add(until)}/1000.0)`);
+    if (beforeId) where.push(`(created_at, id) < (SELECT created_at, id FROM chat_messages WHERE id = ${add(beforeId)})`);
+    const result = await pgClient.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM chat_messages WHERE ${where.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ${add(limit)}`,
+      params
+    );
+    return result.rows;
+  }
+
+  // Memory fallback: token match over the same fields, scanning newest first
+  const words = (v) => String(v || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const terms = words(q);
+  const coin = sym ? baseCoin(sym) : null;
+  const userKey = user ? nameKey(user) : null;
+  const start = beforeId ? memoryMessages.findIndex(m => m.id === beforeId) : memoryMessages.length;
+  if (start === -1) return null;
+  const results = [];
+  for (let i = start - 1; i >= 0 && results.length < limit; i--) {
+    const m = memoryMessages[i];
+    if (m.deleted_at) continue;
+    if (room && m.room !== room) continue;
+    if (userKey && nameKey(m.user_name) !== userKey) continue;
+    if (kind && !MESSAGE_KINDS[kind].test(m)) continue;
+    if ((since && m.ts < since) || (until && m.ts > until)) continue;
+    const tokens = (terms.length || coin) ? new Set(words(`${m.text || ''} ${m.layout_name || ''} ${m.poll_question || ''}`)) : null;
+    if (terms.length && !terms.every(t => tokens.has(t))) continue;
+    if (coin && baseCoin(m.trade_sym) !== coin && baseCoin(m.order_sym) !== coin && !tokens.has(coin.toLowerCase())) continue;
+    results.push(m);
+  }
+  return results;
+}
+
+/**
+ * Yield a room's messages oldest first in batches (deleted ones included as
+ * tombstone rows), so exports never hold a whole room in memory.
+ */
+async function* streamMessages(room, { since = null, until = null, batchSize = 500 } = {}) {
+  if (pgClient) {
+    let lastId = null;
+    while (true) {
+      const params = [room, since, until, batchSize];
+      let where = `room = $1
+        AND ($2::float8 IS NULL OR created_at >= TO_TIMESTAMP($2::float8/1000.0))
+        AND ($3::float8 IS NULL OR created_at <= TO_TIMESTAMP($3::float8/1000.0))`;
+      if (lastId) {
+        params.push(lastId);
+        where += ` AND (created_at, id) > (SELECT created_at, id FROM chat_messages WHERE id = $5)`;
+      }
+      const result = await pgClient.query(
+        `SELECT ${MESSAGE_COLUMNS} FROM chat_messages WHERE ${where} ORDER BY created_at, id LIMIT $4`,
+        params
+      );
+      if (!result.rows.length) return;
+      yield result.rows;
+      if (result.rows.length < batchSize) return;
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+  }
+
+  const rows = memoryMessages.filter(m => m.room === room && (!since || m.ts >= since) && (!until || m.ts <= until));
+  for (let i = 0; i < rows.length; i += batchSize) {
+    yield rows.slice(i, i + batchSize);
+  }
+}
+
+// Thread root followed by every reply in it, oldest first
+async function getThread(room, rootId, limit = 100) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM chat_messages
+       WHERE room = $1 AND (id = $2 OR thread_id = $2)
+       ORDER BY (id = $2) DESC, created_at ASC LIMIT $3`,
+      [room, rootId, limit]
+    );
+    return result.rows;
+  }
+  const root = memoryMessages.find(m => m.room === room && m.id === rootId);
+  const replies = memoryMessages.filter(m => m.room === room && m.thread_id === rootId);
+  return (root ? [root, ...replies] : replies).slice(0, limit);
+}
+
+// ============= TRADE OUTCOMES =============
+
+// Trade shares still being tracked, created after sinceMs
+async function getOpenTradeShares(sinceMs) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM chat_messages
+       WHERE is_trade AND trade_status IN ('pending', 'open') AND deleted_at IS NULL AND created_at >= TO_TIMESTAMP($1/1000.0)
+       ORDER BY created_at`,
+      [sinceMs]
+    );
+    return result.rows;
+  }
+  return memoryMessages.filter(m => m.is_trade && ['pending', 'open'].includes(m.trade_status) && !m.deleted_at && m.ts >= sinceMs);
+}
+
+// Market calls (no stated entry) get the first observed price as their entry;
+// r is the R multiple frozen at close
+async function updateTradeOutcome(id, { status, mfe, mae, entry, exitPrice, closedAt, r }) {
+  if (pgClient) {
+    await pgClient.query(
+      `UPDATE chat_messages SET trade_status = $2, trade_mfe = $3, trade_mae = $4, trade_exit_price = $5,
+       trade_closed_at = CASE WHEN $6::float8 IS NULL THEN NULL ELSE TO_TIMESTAMP($6::float8/1000.0) END,
+       trade_entry = COALESCE(NULLIF(trade_entry, ''), $7), trade_r = $8
+       WHERE id = $1`,
+      [id, status, mfe, mae, exitPrice ?? null, closedAt ?? null, entry != null ? String(entry) : null, r ?? null]
+    );
+    return;
+  }
+  const row = memoryMessages.find(m => m.id === id);
+  if (!row) return;
+  if (!row.trade_entry && entry != null) row.trade_entry = String(entry);
+  Object.assign(row, {
+    trade_status: status, trade_mfe: mfe, trade_mae: mae,
+    trade_exit_price: exitPrice ?? null, trade_closed_at: closedAt ?? null, trade_r: r ?? null
+  });
+  saveMessages();
+}
+
+// Non-deleted trade shares created after sinceMs by account holders (leaderboard
+// input); account_name is the reserved spelling. Guest names are unreserved, so
+// anyone could have posted under them.
+async function getTradeSharesSince(sinceMs) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT m.id, m.user_name, a.name AS account_name, m.trade_sym, m.trade_side, m.trade_entry, m.trade_stop_loss,
+              m.trade_status, m.trade_exit_price, m.trade_r, EXTRACT(EPOCH FROM m.created_at) * 1000 as ts
+       FROM chat_messages m JOIN chat_accounts a ON a.name_key = LOWER(m.user_name)
+       WHERE m.is_trade AND m.deleted_at IS NULL AND m.created_at >= TO_TIMESTAMP($1/1000.0)`,
+      [sinceMs]
+    );
+    return result.rows;
+  }
+  const accounts = new Map(memoryAccounts.map(a => [a.name_key, a.name]));
+  return memoryMessages
+    .filter(m => m.is_trade && !m.deleted_at && m.ts >= sinceMs && accounts.has(nameKey(m.user_name)))
+    .map(m => ({ ...m, account_name: accounts.get(nameKey(m.user_name)) }));
+}
+
+// ============= REACTIONS =============
+
+// Group reaction rows into [{ emoji, count, users }] per message id
+function aggregateReactions(rows) {
+  const byMessage = new Map();
+  for (const r of rows) {
+    if (!byMessage.has(r.message_id)) byMessage.set(r.message_id, new Map());
+    const byEmoji = byMessage.get(r.message_id);
+    if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, []);
+    byEmoji.get(r.emoji).push(r.user_name);
+  }
+  const out = new Map();
+  for (const [id, byEmoji] of byMessage) {
+    out.set(id, Array.from(byEmoji, ([emoji, users]) => ({ emoji, count: users.length, users: users.slice(0, 50) })));
+  }
+  return out;
+}
+
+async function getReactions(messageIds) {
+  if (!messageIds.length) return new Map();
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT message_id, user_name, emoji FROM message_reactions WHERE message_id = ANY($1) ORDER BY created_at`,
+      [messageIds]
+    );
+    return aggregateReactions(result.rows);
+  }
+  const ids = new Set(messageIds);
+  return aggregateReactions(memoryReactions.filter(r => ids.has(r.message_id)));
+}
+
+// Copies of rows with their aggregated reactions attached (memory rows stay untouched)
+async function attachReactions(rows) {
+  const reactions = await getReactions(rows.map(r => r.id));
+  return rows.map(r => ({ ...r, reactions: reactions.get(r.id) || [] }));
+}
+
+// Toggle one user's emoji on a message; returns the message's new aggregate
+async function toggleReaction(messageId, userName, emoji) {
+  let added;
+  if (pgClient) {
+    const removed = await pgClient.query(
+      `DELETE FROM message_reactions WHERE message_id = $1 AND user_name = $2 AND emoji = $3`,
+      [messageId, userName, emoji]
+    );
+    added = removed.rowCount === 0;
+    if (added) {
+      await pgClient.query(
+        `INSERT INTO message_reactions (message_id, user_name, emoji) VALUES ($1,$2,$3) ON CONFLICT DO NOTHING`,
+        [messageId, userName, emoji]
+      );
+    }
+  } else {
+    const idx = memoryReactions.findIndex(r => r.message_id === messageId && r.user_name === userName && r.emoji === emoji);
+    added = idx === -1;
+    if (added) memoryReactions.push({ message_id: messageId, user_name: userName, emoji, ts: Date.now() });
+    else memoryReactions.splice(idx, 1);
+    writeDataFile(REACTIONS_FILE, memoryReactions);
+  }
+  const reactions = await getReactions([messageId]);
+  return { added, reactions: reactions.get(messageId) || [] };
+}
+
+// ============= MENTIONS =============
+
+async function addMentions(messageId, room, fromUser, text, names) {
+  if (!names.length) return;
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO chat_mentions (message_id, room, user_key, from_user, text)
+       SELECT $1, $2, unnest($3::text[]), $4, $5`,
+      [messageId, room, names.map(nameKey), fromUser, text]
+    );
+    return;
+  }
+  const ts = Date.now();
+  for (const name of names) {
+    memoryMentions.push({ message_id: messageId, room, user_key: nameKey(name), from_user: fromUser, text, ts, read_at: null });
+  }
+  if (memoryMentions.length > 5000) {
+    memoryMentions = memoryMentions.slice(-5000);
+  }
+  writeDataFile(MENTIONS_FILE, memoryMentions);
+}
+
+// Unread mentions for a user, newest first
+async function getUnreadMentions(name, limit = 50) {
+  const key = nameKey(name);
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT message_id, room, from_user, text, EXTRACT(EPOCH FROM created_at) * 1000 as ts
+       FROM chat_mentions WHERE user_key = $1 AND read_at IS NULL
+       ORDER BY created_at DESC LIMIT $2`,
+      [key, limit]
+    );
+    return result.rows.map(r => ({ messageId: r.message_id, room: r.room, from: r.from_user, text: r.text, ts: Number(r.ts) }));
+  }
+  return memoryMentions
+    .filter(m => m.user_key === key && !m.read_at)
+    .slice(-limit)
+    .reverse()
+    .map(m => ({ messageId: m.message_id, room: m.room, from: m.from_user, text: m.text, ts: m.ts }));
+}
+
+// Mark a user's mentions read (all of them when messageIds is empty); returns count
+async function markMentionsRead(name, messageIds = []) {
+  const key = nameKey(name);
+  if (pgClient) {
+    const result = messageIds.length
+      ? await pgClient.query(`UPDATE chat_mentions SET read_at = NOW() WHERE user_key = $1 AND read_at IS NULL AND message_id = ANY($2)`, [key, messageIds])
+      : await pgClient.query(`UPDATE chat_mentions SET read_at = NOW() WHERE user_key = $1 AND read_at IS NULL`, [key]);
+    return result.rowCount;
+  }
+  const ids = messageIds.length ? new Set(messageIds) : null;
+  let count = 0;
+  for (const m of memoryMentions) {
+    if (m.user_key === key && !m.read_at && (!ids || ids.has(m.message_id))) {
+      m.read_at = Date.now();
+      count++;
+    }
+  }
+  if (count) writeDataFile(MENTIONS_FILE, memoryMentions);
+  return count;
+}
+
+// ============= POLLS =============
+
+// Per-option vote counts for a poll with optionCount options
+function buildTallies(optionCount, votes) {
+  const tallies = new Array(optionCount).fill(0);
+  for (const { option_index, n } of votes) {
+    if (tallies[option_index] !== undefined) tallies[option_index] += n;
+  }
+  return tallies;
+}
+
+/**
+ * Record a user's vote (one per user; voting again moves it) and refresh the
+ * poll's tallies. Returns { row, previous } with the updated message row and the
+ * user's earlier option (or null), or null if the poll is missing or deleted.
+ */
+async function castPollVote(messageId, userName, optionIndex) {
+  const userKey = nameKey(userName);
+  const poll = await getMessage(messageId);
+  if (!poll || !poll.is_poll || poll.deleted_at) return null;
+  const options = typeof poll.poll_options === 'string' ? JSON.parse(poll.poll_options) : poll.poll_options || [];
+
+  if (pgClient) {
+    // RETURNING's subquery sees the row as it was before this upsert
+    const vote = await pgClient.query(
+      `INSERT INTO poll_votes (message_id, user_key, user_name, option_index) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (message_id, user_key) DO UPDATE SET option_index = EXCLUDED.option_index, created_at = NOW()
+       RETURNING (SELECT option_index FROM poll_votes WHERE message_id = $1 AND user_key = $2) AS previous`,
+      [messageId, userKey, userName, optionIndex]
+    );
+    // Tallies are recounted from poll_votes inside the UPDATE, so concurrent votes
+    // never overwrite each other with counts read earlier
+    const result = await pgClient.query(
+      `UPDATE chat_messages SET poll_tallies = (
+         SELECT COALESCE(jsonb_agg(COALESCE(c.n, 0) ORDER BY i), '[]'::jsonb)
+         FROM generate_series(0, $2::int - 1) AS i
+         LEFT JOIN (SELECT option_index, COUNT(*)::int AS n FROM poll_votes WHERE message_id = $1 GROUP BY option_index) c
+           ON c.option_index = i
+       ) WHERE id = $1 RETURNING ${MESSAGE_COLUMNS}`,
+      [messageId, options.length]
+    );
+    const previous = vote.rows[0]?.previous;
+    return { row: result.rows[0], previous: previous === null || previous === undefined ? null : previous };
+  }
+
+  let vote = memoryPollVotes.find(v => v.message_id === messageId && v.user_key === userKey);
+  const previous = vote ? vote.option_index : null;
+  if (vote) Object.assign(vote, { option_index: optionIndex, ts: Date.now() });
+  else memoryPollVotes.push({ message_id: messageId, user_key: userKey, user_name: userName, option_index: optionIndex, ts: Date.now() });
+
+  const votes = memoryPollVotes.filter(v => v.message_id === messageId).map(v => ({ option_index: v.option_index, n: 1 }));
+  poll.poll_tallies = JSON.stringify(buildTallies(options.length, votes));
+  writeDataFile(POLL_VOTES_FILE, memoryPollVotes);
+  saveMessages();
+  return { row: poll, previous };
+}
+
+// ============= DIRECT MESSAGES =============
+
+// Conversation key shared by both directions of a DM pair
+const pairKey = (a, b) => [nameKey(a), nameKey(b)].sort().join('|');
+
+async function persistDirectMessage({ id, sender, sender_color, recipient, text, client_id }) {
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO direct_messages (id, pair_key, sender, sender_color, recipient, text, client_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (id) DO NOTHING`,
+      [id, pairKey(sender, recipient), sender, sender_color || null, recipient, text, client_id || null]
+    );
+    return;
+  }
+  memoryDirectMessages.push({
+    id, pair_key: pairKey(sender, recipient), sender, sender_color: sender_color || null,
+    recipient, text, client_id: client_id || null, ts: Date.now()
+  });
+  if (memoryDirectMessages.length > 5000) {
+    memoryDirectMessages = memoryDirectMessages.slice(-5000);
+  }
+  writeDataFile(DIRECT_MESSAGES_FILE, memoryDirectMessages);
+}
+
+// Conversation between two users, oldest first; beforeTs pages back
+async function getDirectMessages(userA, userB, { limit = 50, beforeTs = null } = {}) {
+  const key = pairKey(userA, userB);
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT id, sender, sender_color, recipient, text, client_id, EXTRACT(EPOCH FROM created_at) * 1000 as ts
+       FROM direct_messages
+       WHERE pair_key = $1 AND ($2::bigint IS NULL OR created_at < to_timestamp($2::bigint / 1000.0))
+       ORDER BY created_at DESC LIMIT $3`,
+      [key, beforeTs, limit]
+    );
+    return result.rows.reverse();
+  }
+  return memoryDirectMessages
+    .filter(m => m.pair_key === key && (!beforeTs || m.ts < beforeTs))
+    .slice(-limit);
+}
+
+// ============= USER PROFILES =============
+
+const USER_COLUMNS = `name, bio, color, EXTRACT(EPOCH FROM created_at) * 1000 as created_at`;
+
+async function getUserProfile(name) {
+  if (pgClient) {
+    const result = await pgClient.query(`SELECT ${USER_COLUMNS} FROM users WHERE name_key = $1`, [nameKey(name)]);
+    const row = result.rows[0];
+    return row ? { ...row, created_at: Number(row.created_at) } : null;
+  }
+  return memoryUsers.find(u => u.name_key === nameKey(name)) || null;
+}
+
+// Profile for name, created with this color on first sight
+async function ensureUserProfile(name, color) {
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO users (name_key, name, color) VALUES ($1, $2, $3) ON CONFLICT (name_key) DO NOTHING`,
+      [nameKey(name), name, color || null]
+    );
+    return getUserProfile(name);
+  }
+  const existing = memoryUsers.find(u => u.name_key === nameKey(name));
+  if (existing) return existing;
+  const row = { name_key: nameKey(name), name, bio: null, color: color || null, created_at: Date.now() };
+  memoryUsers.push(row);
+  writeDataFile(USERS_FILE, memoryUsers);
+  return row;
+}
+
+// Update bio and/or color; fields left undefined keep their stored value
+async function saveUserProfile(name, { bio, color }) {
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO users (name_key, name, bio, color) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (name_key) DO UPDATE SET
+         bio = COALESCE($3, users.bio),
+         color = COALESCE($4, users.color),
+         updated_at = NOW()`,
+      [nameKey(name), name, bio ?? null, color ?? null]
+    );
+    return getUserProfile(name);
+  }
+  const row = await ensureUserProfile(name, color);
+  if (bio !== undefined) row.bio = bio;
+  if (color !== undefined) row.color = color;
+  writeDataFile(USERS_FILE, memoryUsers);
+  return row;
+}
+
+/**
+ * Aggregates over a user's live (undeleted) messages: counts, trade outcomes,
+ * first message time, per-symbol share counts and the most recent shares.
+ */
+async function getUserStats(name, { recentLimit = 10 } = {}) {
+  if (pgClient) {
+    const totals = await pgClient.query(
+      `SELECT COUNT(*)::int AS messages,
+         COUNT(*) FILTER (WHERE is_trade)::int AS trades,
+         COUNT(*) FILTER (WHERE is_order)::int AS orders,
+         COUNT(*) FILTER (WHERE is_trade AND trade_status = 'tp_hit')::int AS wins,
+         COUNT(*) FILTER (WHERE is_trade AND trade_status = 'sl_hit')::int AS losses,
+         EXTRACT(EPOCH FROM MIN(created_at)) * 1000 AS first_ts
+       FROM chat_messages WHERE LOWER(user_name) = LOWER($1) AND deleted_at IS NULL`,
+      [name]
+    );
+    const symbols = await pgClient.query(
+      `SELECT UPPER(CASE WHEN is_trade THEN trade_sym ELSE order_sym END) AS sym, COUNT(*)::int AS count
+       FROM chat_messages WHERE LOWER(user_name) = LOWER($1) AND deleted_at IS NULL AND (is_trade OR is_order)
+       GROUP BY 1`,
+      [name]
+    );
+    const recent = await pgClient.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM chat_messages
+       WHERE LOWER(user_name) = LOWER($1) AND deleted_at IS NULL AND (is_trade OR is_order)
+       ORDER BY created_at DESC LIMIT $2`,
+      [name, recentLimit]
+    );
+    const t = totals.rows[0];
+    return { ...t, first_ts: t.first_ts ? Number(t.first_ts) : null, symbols: symbols.rows, recent: recent.rows };
+  }
+
+  const key = nameKey(name);
+  const rows = memoryMessages.filter(m => nameKey(m.user_name) === key && !m.deleted_at);
+  const shares = rows.filter(m => m.is_trade || m.is_order);
+  const bySym = new Map();
+  for (const m of shares) {
+    const sym = String((m.is_trade ? m.trade_sym : m.order_sym) || '').toUpperCase();
+    bySym.set(sym, (bySym.get(sym) || 0) + 1);
+  }
+  return {
+    messages: rows.length,
+    trades: rows.filter(m => m.is_trade).length,
+    orders: rows.filter(m => m.is_order).length,
+    wins: rows.filter(m => m.is_trade && m.trade_status === 'tp_hit').length,
+    losses: rows.filter(m => m.is_trade && m.trade_status === 'sl_hit').length,
+    first_ts: rows.length ? rows.reduce((min, m) => Math.min(min, Number(m.ts)), Infinity) : null,
+    symbols: Array.from(bySym, ([sym, count]) => ({ sym, count })),
+    recent: shares.slice(-recentLimit).reverse()
+  };
+}
+
+// ============= FOLLOWS =============
+
+// Every follow edge (loaded once into the follows service)
+async function loadFollows() {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT follower, trader, EXTRACT(EPOCH FROM created_at) * 1000 as ts FROM follows`
+    );
+    return result.rows.map(r => ({ ...r, ts: Number(r.ts) }));
+  }
+  return memoryFollows.map(({ follower, trader, ts }) => ({ follower, trader, ts }));
+}
+
+async function addFollow(follower, trader) {
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO follows (follower_key, follower, trader_key, trader) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (follower_key, trader_key) DO NOTHING`,
+      [nameKey(follower), follower, nameKey(trader), trader]
+    );
+    return;
+  }
+  const exists = memoryFollows.some(f => f.follower_key === nameKey(follower) && f.trader_key === nameKey(trader));
+  if (exists) return;
+  memoryFollows.push({ follower_key: nameKey(follower), follower, trader_key: nameKey(trader), trader, ts: Date.now() });
+  writeDataFile(FOLLOWS_FILE, memoryFollows);
+}
+
+async function removeFollow(follower, trader) {
+  if (pgClient) {
+    await pgClient.query(`DELETE FROM follows WHERE follower_key = $1 AND trader_key = $2`, [nameKey(follower), nameKey(trader)]);
+    return;
+  }
+  memoryFollows = memoryFollows.filter(f => !(f.follower_key === nameKey(follower) && f.trader_key === nameKey(trader)));
+  writeDataFile(FOLLOWS_FILE, memoryFollows);
+}
+
+// ============= LAYOUTS =============
+
+const LAYOUT_COLUMNS = `id, owner, name, is_public, version, windows, forked_from,
+  EXTRACT(EPOCH FROM created_at) * 1000 as created_at, EXTRACT(EPOCH FROM updated_at) * 1000 as updated_at`;
+
+// Saved layout, at its current version or the given one; null when missing
+async function getLayout(id, version = null) {
+  if (pgClient) {
+    const result = await pgClient.query(`SELECT ${LAYOUT_COLUMNS} FROM layouts WHERE id = $1`, [id]);
+    const row = result.rows[0];
+    if (!row || !version || Number(version) === row.version) return row || null;
+    const past = await pgClient.query(
+      `SELECT name, windows FROM layout_versions WHERE layout_id = $1 AND version = $2`,
+      [id, Number(version)]
+    );
+    return past.rows[0] ? { ...row, ...past.rows[0], version: Number(version) } : null;
+  }
+  const row = memoryLayouts.find(l => l.id === id);
+  if (!row || !version || Number(version) === row.version) return row || null;
+  const past = memoryLayoutVersions.find(v => v.layout_id === id && v.version === Number(version));
+  return past ? { ...row, name: past.name, windows: past.windows, version: past.version } : null;
+}
+
+/**
+ * Layout summaries (no windows), most recently updated first. Public layouts,
+ * plus the viewer's own private ones; owner and q (name substring) filter.
+ */
+async function listLayouts({ viewer = null, owner = null, q = null, limit = 50 } = {}) {
+  const viewerKey = viewer ? nameKey(viewer) : null;
+  const ownerKey = owner ? nameKey(owner) : null;
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT id, owner, name, is_public, version, jsonb_array_length(windows) as window_count, forked_from,
+         EXTRACT(EPOCH FROM created_at) * 1000 as created_at, EXTRACT(EPOCH FROM updated_at) * 1000 as updated_at
+       FROM layouts
+       WHERE (is_public OR owner_key = $1) AND ($2::text IS NULL OR owner_key = $2)
+         AND ($3::text IS NULL OR name ILIKE '%' || $3 || '%')
+       ORDER BY updated_at DESC LIMIT $4`,
+      [viewerKey, ownerKey, q, limit]
+    );
+    return result.rows;
+  }
+  const needle = q ? q.toLowerCase() : null;
+  return memoryLayouts
+    .filter(l => (l.is_public || l.owner_key === viewerKey) && (!ownerKey || l.owner_key === ownerKey)
+      && (!needle || l.name.toLowerCase().includes(needle)))
+    .sort((a, b) => b.updated_at - a.updated_at)
+    .slice(0, limit)
+    .map(({ windows, owner_key, ...l }) => ({ ...l, window_count: windows.length }));
+}
+
+async function countLayouts(owner) {
+  if (pgClient) {
+    const result = await pgClient.query(`SELECT COUNT(*)::int AS n FROM layouts WHERE owner_key = $1`, [nameKey(owner)]);
+    return result.rows[0].n;
+  }
+  return memoryLayouts.filter(l => l.owner_key === nameKey(owner)).length;
+}
+
+// Store a new layout as version 1
+async function createLayout({ id, owner, name, windows, is_public, forked_from }) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `INSERT INTO layouts (id, owner, owner_key, name, is_public, windows, forked_from)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING ${LAYOUT_COLUMNS}`,
+      [id, owner, nameKey(owner), name, !!is_public, JSON.stringify(windows), forked_from || null]
+    );
+    await pgClient.query(
+      `INSERT INTO layout_versions (layout_id, version, name, windows) VALUES ($1, 1, $2, $3)`,
+      [id, name, JSON.stringify(windows)]
+    );
+    return result.rows[0];
+  }
+  const now = Date.now();
+  const row = {
+    id, owner, owner_key: nameKey(owner), name, is_public: !!is_public, version: 1,
+    windows, forked_from: forked_from || null, created_at: now, updated_at: now
+  };
+  memoryLayouts.push(row);
+  memoryLayoutVersions.push({ layout_id: id, version: 1, name, windows, created_at: now });
+  writeDataFile(LAYOUTS_FILE, memoryLayouts);
+  writeDataFile(LAYOUT_VERSIONS_FILE, memoryLayoutVersions);
+  return row;
+}
+
+// Update name/visibility in place; new windows are saved as the next version
+async function updateLayout(id, { name, windows, is_public }) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `UPDATE layouts SET
+         name = COALESCE($2, name),
+         is_public = COALESCE($3, is_public),
+         windows = COALESCE($4::jsonb, windows),
+         version = version + CASE WHEN $4::jsonb IS NULL THEN 0 ELSE 1 END,
+         updated_at = NOW()
+       WHERE id = $1 RETURNING ${LAYOUT_COLUMNS}`,
+      [id, name ?? null, is_public ?? null, windows ? JSON.stringify(windows) : null]
+    );
+    const row = result.rows[0];
+    if (row && windows) {
+      await pgClient.query(
+        `INSERT INTO layout_versions (layout_id, version, name, windows) VALUES ($1, $2, $3, $4)`,
+        [id, row.version, row.name, JSON.stringify(windows)]
+      );
+    }
+    return row || null;
+  }
+  const row = memoryLayouts.find(l => l.id === id);
+  if (!row) return null;
+  if (name !== undefined) row.name = name;
+  if (is_public !== undefined) row.is_public = !!is_public;
+  row.updated_at = Date.now();
+  if (windows) {
+    row.windows = windows;
+    row.version += 1;
+    memoryLayoutVersions.push({ layout_id: id, version: row.version, name: row.name, windows, created_at: row.updated_at });
+    writeDataFile(LAYOUT_VERSIONS_FILE, memoryLayoutVersions);
+  }
+  writeDataFile(LAYOUTS_FILE, memoryLayouts);
+  return row;
+}
+
+// Version history of a layout, newest first (no windows)
+async function getLayoutVersions(id) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT version, name, jsonb_array_length(windows) as window_count, EXTRACT(EPOCH FROM created_at) * 1000 as created_at
+       FROM layout_versions WHERE layout_id = $1 ORDER BY version DESC`,
+      [id]
+    );
+    return result.rows;
+  }
+  return memoryLayoutVersions
+    .filter(v => v.layout_id === id)
+    .sort((a, b) => b.version - a.version)
+    .map(v => ({ version: v.version, name: v.name, window_count: v.windows.length, created_at: v.created_at }));
+}
+
+// ============= RETENTION =============
+
+// Tables retention may prune, with how to read a row's age in the JSON store
+const RETENTION_TABLES = {
+  chat_messages: { memory: () => memoryMessages, ts: m => Number(m.ts), save: () => saveMessages() },
+  news_items: { memory: () => memoryNews, ts: n => new Date(n.createdAt || n.receivedAt || 0).getTime(), save: () => saveNews() },
+  volatility_alerts: { memory: () => memoryVolatilityAlerts, ts: a => Number(a.timestamp), save: () => {} }
+};
+
+const cutoffSql = 'created_at < TO_TIMESTAMP($1::float8/1000.0)';
+
+// Yield rows older than cutoffMs in batches, oldest first (raw rows, for archiving)
+async function* streamExpiredRows(table, cutoffMs, batchSize = 1000) {
+  if (pgClient) {
+    let lastId = null;
+    while (true) {
+      const params = [cutoffMs, batchSize];
+      let where = cutoffSql;
+      if (lastId) {
+        params.push(lastId);
+        where += ` AND (created_at, id) > (SELECT created_at, id FROM ${table} WHERE id = $3)`;
+      }
+      const result = await pgClient.query(`SELECT * FROM ${table} WHERE ${where} ORDER BY created_at, id LIMIT $2`, params);
+      if (!result.rows.length) return;
+      yield result.rows;
+      if (result.rows.length < batchSize) return;
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+  }
+  const { memory, ts } = RETENTION_TABLES[table];
+  const rows = memory().filter(r => ts(r) < cutoffMs);
+  for (let i = 0; i < rows.length; i += batchSize) {
+    yield rows.slice(i, i + batchSize);
+  }
+}
+
+// Delete rows older than cutoffMs in batches (plus reactions, votes and mentions
+// of deleted chat messages); returns the number of rows removed
+async function deleteExpiredRows(table, cutoffMs, batchSize = 5000) {
+  if (pgClient) {
+    let total = 0;
+    while (true) {
+      const result = await pgClient.query(
+        `DELETE FROM ${table} WHERE id IN (SELECT id FROM ${table} WHERE ${cutoffSql} LIMIT $2) RETURNING id`,
+        [cutoffMs, batchSize]
+      );
+      total += result.rowCount;
+      if (table === 'chat_messages') await deleteMessageDependents(result.rows.map(r => r.id));
+      if (result.rowCount < batchSize) return total;
+    }
+  }
+
+  const { memory, ts, save } = RETENTION_TABLES[table];
+  const rows = memory();
+  const expired = rows.filter(r => ts(r) < cutoffMs);
+  if (!expired.length) return 0;
+  const kept = rows.filter(r => !(ts(r) < cutoffMs));
+  // News and alert arrays are shared with the feed service, so prune in place
+  rows.length = 0;
+  for (const r of kept) rows.push(r);
+  if (table === 'chat_messages') await deleteMessageDependents(expired.map(m => m.id));
+  save();
+  return expired.length;
+}
+
+// Chat messages the JSON store dropped for space since the last call
+function takeDroppedMessageCount() {
+  const count = memoryMessagesDropped;
+  memoryMessagesDropped = 0;
+  return count;
+}
+
+// ============= MODERATION =============
+
+// Active (unexpired) sanctions and per-room settings
+async function loadModeration() {
+  if (pgClient) {
+    const sanctions = await pgClient.query(
+      `SELECT id, kind, user_key, ip, room, reason, created_by,
+              EXTRACT(EPOCH FROM expires_at) * 1000 as expires_at, EXTRACT(EPOCH FROM created_at) * 1000 as created_at
+       FROM chat_sanctions WHERE expires_at IS NULL OR expires_at > NOW()`
+    );
+    const rooms = await pgClient.query(`SELECT room, slow_mode_ms, owners FROM room_settings`);
+    return {
+      sanctions: sanctions.rows.map(r => ({
+        ...r, expires_at: r.expires_at ? Number(r.expires_at) : null, created_at: Number(r.created_at)
+      })),
+      rooms: Object.fromEntries(rooms.rows.map(r => [r.room, { slowModeMs: Number(r.slow_mode_ms) || 0, owners: r.owners || [] }]))
+    };
+  }
+  const now = Date.now();
+  return {
+    sanctions: memoryModeration.sanctions.filter(s => !s.expires_at || s.expires_at > now),
+    rooms: { ...memoryModeration.rooms }
+  };
+}
+
+async function saveSanction(sanction) {
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO chat_sanctions (id, kind, user_key, ip, room, reason, created_by, expires_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7, CASE WHEN $8::float8 IS NULL THEN NULL ELSE TO_TIMESTAMP($8::float8/1000.0) END)`,
+      [sanction.id, sanction.kind, sanction.user_key, sanction.ip, sanction.room, sanction.reason, sanction.created_by, sanction.expires_at]
+    );
+    return;
+  }
+  const now = Date.now();
+  memoryModeration.sanctions = memoryModeration.sanctions.filter(s => !s.expires_at || s.expires_at > now);
+  memoryModeration.sanctions.push(sanction);
+  writeDataFile(MODERATION_FILE, memoryModeration);
+}
+
+async function removeSanction(id) {
+  if (pgClient) {
+    const result = await pgClient.query(`DELETE FROM chat_sanctions WHERE id = $1`, [id]);
+    return result.rowCount > 0;
+  }
+  const before = memoryModeration.sanctions.length;
+  memoryModeration.sanctions = memoryModeration.sanctions.filter(s => s.id !== id);
+  writeDataFile(MODERATION_FILE, memoryModeration);
+  return memoryModeration.sanctions.length < before;
+}
+
+// Update the given room settings; fields left undefined keep their stored value
+async function saveRoomSettings(room, { slowModeMs, owners }) {
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO room_settings (room, slow_mode_ms, owners) VALUES ($1, COALESCE($2, 0), COALESCE($3::jsonb, '[]'))
+       ON CONFLICT (room) DO UPDATE SET
+         slow_mode_ms = COALESCE($2, room_settings.slow_mode_ms),
+         owners = COALESCE($3::jsonb, room_settings.owners),
+         updated_at = NOW()`,
+      [room, slowModeMs ?? null, owners ? JSON.stringify(owners) : null]
+    );
+    return;
+  }
+  const updates = Object.fromEntries(Object.entries({ slowModeMs, owners }).filter(([, v]) => v !== undefined));
+  memoryModeration.rooms[room] = { ...memoryModeration.rooms[room], ...updates };
+  writeDataFile(MODERATION_FILE, memoryModeration);
+}
+
+// ============= PINS =============
+
+// A room's pins (message pins and announcements), oldest first
+async function getPins(room) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT id, room, message_id, text, created_by, EXTRACT(EPOCH FROM created_at) * 1000 as ts
+       FROM room_pins WHERE room = $1 ORDER BY created_at`,
+      [room]
+    );
+    return result.rows.map(r => ({ ...r, ts: Number(r.ts) }));
+  }
+  return memoryPins.filter(p => p.room === room);
+}
+
+async function addPin({ id, room, message_id, text, created_by }) {
+  const pin = { id, room, message_id: message_id || null, text: text || null, created_by: created_by || null, ts: Date.now() };
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO room_pins (id, room, message_id, text, created_by) VALUES ($1, $2, $3, $4, $5)`,
+      [pin.id, pin.room, pin.message_id, pin.text, pin.created_by]
+    );
+    return pin;
+  }
+  memoryPins.push(pin);
+  writeDataFile(PINS_FILE, memoryPins);
+  return pin;
+}
+
+// Remove a pin by pin id or pinned message id; returns the removed pin or null
+async function removePin(room, id) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `DELETE FROM room_pins WHERE room = $1 AND (id = $2 OR message_id = $2)
+       RETURNING id, room, message_id, text, created_by`,
+      [room, id]
+    );
+    return result.rows[0] || null;
+  }
+  const pin = memoryPins.find(p => p.room === room && (p.id === id || p.message_id === id));
+  if (!pin) return null;
+  memoryPins = memoryPins.filter(p => p !== pin);
+  writeDataFile(PINS_FILE, memoryPins);
+  return pin;
+}
+
+// ============= ADMIN AUDIT =============
+
+async function recordAudit({ action, actor, ip, scope, affected, dryRun }) {
+  if (pgClient) {
+    await pgClient.query(
+      `INSERT INTO admin_audit_log (action, actor, ip, scope, affected, dry_run) VALUES ($1,$2,$3,$4,$5,$6)`,
+      [action, actor || null, ip || null, JSON.stringify(scope || {}), affected || 0, !!dryRun]
+    );
+    return;
+  }
+  memoryAudit.push({ action, actor: actor || null, ip: ip || null, scope: scope || {}, affected: affected || 0, dryRun: !!dryRun, ts: Date.now() });
+  if (memoryAudit.length > 1000) {
+    memoryAudit = memoryAudit.slice(-1000);
+  }
+  writeDataFile(AUDIT_FILE, memoryAudit);
+}
+
+// Newest first
+async function getAuditLog(limit = 100) {
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT action, actor, ip, scope, affected, dry_run, EXTRACT(EPOCH FROM created_at) * 1000 as ts
+       FROM admin_audit_log ORDER BY created_at DESC LIMIT $1`,
+      [limit]
+    );
+    return result.rows.map(r => ({
+      action: r.action, actor: r.actor, ip: r.ip, scope: r.scope, affected: r.affected, dryRun: r.dry_run, ts: Number(r.ts)
+    }));
+  }
+  return memoryAudit.slice(-limit).reverse();
+}
+
+// ============= ACCOUNTS =============
+
+// Names are reserved case-insensitively
+async function getAccountByName(name) {
+  const key = nameKey(name);
+  if (!key) return null;
+  if (pgClient) {
+    const result = await pgClient.query(
+      `SELECT id, name, key_hash, EXTRACT(EPOCH FROM created_at) * 1000 as created_ms FROM chat_accounts WHERE name_key = $1`,
+      [key]
+    );
+    const row = result.rows[0];
+    return row ? { id: row.id, name: row.name, key_hash: row.key_hash, createdAt: Number(row.created_ms) } : null;
+  }
+  return memoryAccounts.find(a => a.name_key === key) || null;
+}
+
+// Returns false when the name is already taken
+async function createAccount({ id, name, key_hash }) {
+  const key = nameKey(name);
+  if (pgClient) {
+    const result = await pgClient.query(
+      `INSERT INTO chat_accounts (id, name, name_key, key_hash) VALUES ($1,$2,$3,$4) ON CONFLICT (name_key) DO NOTHING`,
+      [id, name, key, key_hash]
+    );
+    return result.rowCount > 0;
+  }
+  if (memoryAccounts.some(a => a.name_key === key)) return false;
+  memoryAccounts.push({ id, name, name_key: key, key_hash, createdAt: Date.now() });
+  writeDataFile(ACCOUNTS_FILE, memoryAccounts);
+  return true;
+}
+
 // Persist trade event
 async function persistTradeEvent(exchange, event, payload) {
   if (pgClient) {
@@ -255,12 +1623,64 @@ module.exports = {
   
   loadMessages,
   loadNews,
+  loadDataFiles,
   saveMessages,
   saveNews,
   initPostgres,
   persistMessage,
   persistTradeEvent,
+  getMessage,
+  getMessageByClientId,
+  updateMessage,
+  deleteMessage,
+  getMessagesPage,
+  searchMessages,
+  streamMessages,
+  getThread,
+  clearMessages,
+  getOpenTradeShares,
+  updateTradeOutcome,
+  getTradeSharesSince,
+  getReactions,
+  attachReactions,
+  toggleReaction,
+  addMentions,
+  getUnreadMentions,
+  markMentionsRead,
+  castPollVote,
+  streamExpiredRows,
+  deleteExpiredRows,
+  takeDroppedMessageCount,
+  persistDirectMessage,
+  getDirectMessages,
+  getUserProfile,
+  ensureUserProfile,
+  saveUserProfile,
+  getUserStats,
+  loadFollows,
+  addFollow,
+  removeFollow,
+  getLayout,
+  listLayouts,
+  countLayouts,
+  createLayout,
+  updateLayout,
+  getLayoutVersions,
+  loadModeration,
+  saveSanction,
+  removeSanction,
+  saveRoomSettings,
+  getPins,
+  addPin,
+  removePin,
+  recordAudit,
+  getAuditLog,
+  getAccountByName,
+  createAccount,
   
+  MESSAGE_COLUMNS,
+  MESSAGE_KINDS,
+  RETENTION_TABLES,
   getFileLocation: () => ({ MESSAGES_FILE, NEWS_FILE })
 };
 
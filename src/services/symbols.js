@@ -0,0 +1,100 @@
+// Symbol resolution across hub exchanges (BTCUSDT / BTC-USDT / BTC)
+
+// Exchanges with ticker data, in lookup priority order
+const TICKER_EXCHANGES = ['bybit', 'blofin', 'bitunix', 'hyperliquid'];
+
+// Strip a user-typed symbol down to its base coin ("btc-usdt" -> "BTC")
+function baseCoin(sym) {
+  const s = String(sym || '').toUpperCase().replace(/[^A-Z0-9-]/g, '');
+  const [head] = s.split('-');
+  return head.replace(/(USDT|USDC|PERP|USD)$/, '') || head;
+}
+
+// Spellings a user may have typed for a base coin's perp, uppercased ("SOL", "SOLUSDT", "SOL-USDT", ...)
+function symbolVariants(sym) {
+  const base = baseCoin(sym);
+  if (!base) return [];
+  return [base, ...['USDT', 'USDC', 'USD', 'PERP'].flatMap(quote => [`${base}${quote}`, `${base}-${quote}`])];
+}
+
+// Venue-native symbol for a base coin
+function exchangeSymbol(exchange, sym) {
+  const base = baseCoin(sym);
+  if (!base) return '';
+  switch (exchange) {
+    case 'blofin': return `${base}-USDT`;
+    case 'hyperliquid': return base;
+    default: return `${base}USDT`;
+  }
+}
+
+// Parse free-text numbers like "60,000", "$3000" or "10x"; null when not a positive
+// number, so malformed input ("1.2.3", "-1", "60k") is rejected rather than scrubbed
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(String(value).replace(/[,$\s]/g, '').replace(/x$/i, ''));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Price from a cached ticker, preferring the mark price
+function tickerPrice(ticker) {
+  if (!ticker) return null;
+  const price = Number(ticker.markPrice) || Number(ticker.lastPrice);
+  return price > 0 ? price : null;
+}
+
+/**
+ * Find a live ticker for a symbol. With an exchange, only that venue is tried;
+ * otherwise the first exchange with a priced ticker wins.
+ * Returns { exchange, symbol, ticker, price } or null.
+ */
+function findTicker(hub, sym, exchange = null) {
+  const exchanges = exchange ? [exchange] : TICKER_EXCHANGES;
+  for (const ex of exchanges) {
+    const raw = String(sym || '').toUpperCase();
+    for (const symbol of new Set([raw, exchangeSymbol(ex, sym)])) {
+      if (!symbol) continue;
+      const ticker = hub.getTicker(ex, symbol);
+      const price = tickerPrice(ticker);
+      if (price && !ticker._stale) return { exchange: ex, symbol, ticker, price };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a shared symbol to a listed instrument. With an exchange, only that
+ * venue is checked; otherwise the first venue listing it wins. Returns
+ * { exchange, symbol, instrument } or { error }. While no checked venue has
+ * loaded its instrument list the symbol is passed through with instrument null.
+ */
+function resolveInstrument(hub, sym, exchange = null) {
+  const raw = String(sym || '').toUpperCase();
+  if (!raw) return { error: 'Symbol required' };
+  if (exchange && !TICKER_EXCHANGES.includes(exchange)) {
+    return { error: `Unknown exchange "${exchange}". Try: ${TICKER_EXCHANGES.join(', ')}` };
+  }
+  const exchanges = exchange ? [exchange] : TICKER_EXCHANGES;
+  for (const ex of exchanges) {
+    for (const symbol of new Set([raw, exchangeSymbol(ex, raw)])) {
+      const instrument = symbol && hub.getInstrument(ex, symbol);
+      if (instrument) return { exchange: ex, symbol, instrument };
+    }
+  }
+  if (!exchanges.some(ex => hub.getInstruments(ex).length)) return { exchange, symbol: raw, instrument: null };
+  return { error: `Unknown symbol ${raw}${exchange ? ` on ${exchange}` : ''}` };
+}
+
+module.exports = {
+  TICKER_EXCHANGES,
+  baseCoin,
+  symbolVariants,
+  exchangeSymbol,
+  parseAmount,
+  round2,
+  tickerPrice,
+  findTicker,
+  resolveInstrument
+};